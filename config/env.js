@@ -7,6 +7,13 @@ window.SUPABASE_CONFIG = {
     anonKey: 'YOUR_SUPABASE_ANON_KEY_HERE'
 };
 
+// Optional: choose a storage backend other than Supabase
+// 'local' keeps shared tables in this browser only; 'mock-server' talks to `node mock-server.js`
+// window.STORAGE_CONFIG = {
+//     backend: 'mock-server',
+//     url: 'http://localhost:8787'
+// };
+
 // You can also set these as environment variables:
 // VITE_SUPABASE_URL
 // VITE_SUPABASE_ANON_KEY
@@ -0,0 +1,206 @@
+// Local stand-in for Supabase, for drafting on a laptop with no internet and for tests.
+//
+//   node mock-server.js [--port 8787] [--data mock-data.json]
+//
+// Serves the app from this folder and keeps every table the app uses (STORAGE_TABLES in
+// storage-adapters.js) in a JSON file. Open http://<laptop>:8787/?storage=mock-server in each browser.
+//
+//   POST /query    run a query built by storage-adapters.js, returns { data, error }
+//   GET  /changes  server-sent change feed: table changes, broadcasts and presence
+//   POST /join     presence already tracked on a channel
+//   POST /publish  relay a broadcast or presence update to the other clients
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createEmptyTables, runTableQuery } = require('./storage-adapters.js');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const port = Number(getArg('port', process.env.PORT || 8787));
+const dataFile = path.resolve(getArg('data', 'mock-data.json'));
+const appRoot = __dirname;
+
+const contentTypes = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+function loadTables() {
+    try {
+        return { ...createEmptyTables(), ...JSON.parse(fs.readFileSync(dataFile, 'utf8')) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading data file, starting empty:', error.message);
+        }
+        return createEmptyTables();
+    }
+}
+
+// Write to a temp file and rename so a crash never leaves half a JSON file
+function saveTables() {
+    const tempFile = `${dataFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(tables, null, 2));
+    fs.renameSync(tempFile, dataFile);
+}
+
+let tables = loadTables();
+const clients = new Map(); // connectionId -> response
+const presence = new Map(); // `${channel}:${key}` -> { channel, key, payload, connectionId }
+
+function send(connectionId, message) {
+    clients.get(connectionId)?.write(`data: ${JSON.stringify(message)}\n\n`);
+}
+
+function sendToOthers(senderId, message) {
+    clients.forEach((_, connectionId) => {
+        if (connectionId !== senderId) send(connectionId, message);
+    });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+}
+
+function handleQuery(request) {
+    // Work on a copy so a failed request leaves the tables untouched
+    const working = JSON.parse(JSON.stringify(tables));
+    try {
+        const { data, error, changes = [] } = runTableQuery(working, request);
+        if (error) return { data: null, error };
+
+        if (changes.length > 0) {
+            tables = working;
+            saveTables();
+            // Like Supabase, the writer hears its own changes too
+            changes.forEach(change => sendToOthers(null, { type: 'postgres_changes', change }));
+        }
+        return { data, error: null };
+    } catch (error) {
+        return { data: null, error: { message: error.message } };
+    }
+}
+
+function handleChanges(req, res) {
+    const connectionId = crypto.randomUUID();
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    clients.set(connectionId, res);
+    send(connectionId, { type: 'hello', connectionId });
+    console.log(`🔌 Client connected (${clients.size} online)`);
+
+    req.on('close', () => {
+        clients.delete(connectionId);
+        presence.forEach((entry, id) => {
+            if (entry.connectionId !== connectionId) return;
+            presence.delete(id);
+            sendToOthers(connectionId, { type: 'presence', channel: entry.channel, key: entry.key, payload: null });
+        });
+        console.log(`👋 Client disconnected (${clients.size} online)`);
+    });
+}
+
+function serveStatic(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(appRoot, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(appRoot + path.sep) || filePath === dataFile) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/changes') {
+        handleChanges(req, res);
+        return;
+    }
+
+    if (req.method === 'POST') {
+        let body;
+        try {
+            body = await readBody(req);
+        } catch (error) {
+            sendJson(res, 400, { data: null, error: { message: 'Invalid JSON body' } });
+            return;
+        }
+
+        if (pathname === '/query') {
+            sendJson(res, 200, handleQuery(body));
+        } else if (pathname === '/join') {
+            sendJson(res, 200, {
+                presence: [...presence.values()]
+                    .filter(entry => entry.channel === body.channel)
+                    .map(({ key, payload }) => ({ key, payload }))
+            });
+        } else if (pathname === '/publish') {
+            const { connectionId, ...message } = body;
+            if (message.type === 'presence') {
+                presence.set(`${message.channel}:${message.key}`, { ...message, connectionId });
+            }
+            sendToOthers(connectionId, message);
+            sendJson(res, 200, { ok: true });
+        } else {
+            sendJson(res, 404, { data: null, error: { message: 'Not found' } });
+        }
+        return;
+    }
+
+    serveStatic(req, res);
+});
+
+server.listen(port, () => {
+    console.log(`⚾ Mock draft server on http://localhost:${port}/?storage=mock-server`);
+    console.log(`💾 Data file: ${dataFile}`);
+});
@@ -13,41 +13,112 @@ class DraftTracker {
         this.currentEditingPlayer = null;
         this.supabase = null;
         this.editMode = false;
+
+        // League scope - every table row and local storage key belongs to one league season
+        this.leagueRegistry = this.loadLeagueRegistry();
+        this.leagueId = this.leagueRegistry.activeLeagueId;
         this.expandedNotes = new Set();
 
         // Rankings state
         this.rankingsView = 'overall';
         this.rankings = [];
+        this.tierBreaks = []; // ranking_tiers rows for the loaded list, placed among the rankings by rank_index
+        this.rankingSnapshots = []; // ranking_snapshots rows for the loaded list, oldest first
+        this.localRankings = {}; // list_type -> rankings restored from a backup, used without Supabase
+        this.rankingLists = []; // Named lists from the ranking_lists table; the built-in lists aren't stored
         this.hideDraftedInRankings = false;
         this.rankingsSearchTerm = '';
+        this.rankingComparison = { left: 'overall', right: null, orders: {} }; // List ids shown side by side, and their fetched orders
+
+        // Trash - soft-deleted players, restorable until getTrashRetentionDays() have passed
+        this.trash = [];
 
         // Owners state
         this.owners = []; // Array of {id: uuid, name: string}
 
+        // Draft order state
+        this.draftSettings = this.getDefaultDraftSettings();
+
+        // League roster rules
+        this.rosterSettings = this.getDefaultRosterSettings();
+
+        // Mock draft scratch state (in memory only)
+        this.mockDraft = null;
+
+        // Draft clock state
+        this.clientId = crypto.randomUUID();
+        this.draftClock = this.getIdleDraftClock();
+        this.realtimeChannel = null;
+        this.isDraggingRankings = false;
+        this.heldRealtimeChanges = []; // {table, payload} received mid-drag
+        this.rankingsRenderTimer = null;
+
+        // Presence state - this browser's display name plus everyone connected
+        this.presenceIdentity = this.loadPresenceIdentity();
+
+        // Auth state - the signed-in Supabase user, if any
+        this.authUser = null;
+        this.presenceChannel = null;
+        this.presenceUsers = [];
+        this.lastPresencePayload = null;
+
+        // Sync conflicts waiting in the resolution dialog
+        this.pendingConflicts = [];
+
+        // Incremental sync - newest players.updated_at seen, plus the last manual sync report
+        this.syncWatermark = null;
+        this.syncResults = null;
+
+        // Offline outbox - queued player changes waiting to reach Supabase
+        this.outbox = [];
+        this.outboxFailed = []; // entries Supabase rejected, or that kept failing, set aside for the user
+        this.outboxTimer = null;
+        this.outboxRetryAt = null;
+        this.outboxFlushing = false;
+
+        // History state - append-only action log plus undo/redo stacks of event IDs
+        this.historyLog = [];
+        this.undoStack = [];
+        this.redoStack = [];
+
         this.init();
     }
 
     async init() {
         this.initializeSupabase();
+        await this.initializeAuth();
+        await this.loadLeagues();
         await this.loadOwners(); // Load owners first
+        await this.loadRankingLists();
         this.loadFromStorage();
+        await this.loadDraftSettings(); // The shared draft order replaces this browser's copy
+        await this.loadRankings(this.rankingsView); // The Tier column reads tiers from the loaded list
+        this.migratePlayerPositions();
+        this.loadHistory();
+        this.loadOutbox();
+        this.purgeExpiredTrash();
         this.ensureAllPlayersHaveUUIDs(); // Ensure UUIDs before any sync
         this.bindEvents();
         this.updateOwnerSelect();
+        this.renderLeagueSelect();
+        this.renderAuthStatus(); // Owners are loaded now, so the signed-in owner name resolves
         this.setupRealtimeSync();
+        this.setupPresence();
         this.render();
+        this.startDraftClockTicker();
+        this.renderOutboxStatus();
+        this.flushOutbox(); // Replay anything queued before the last reload
         console.log('DraftTracker initialized - owners loaded:', this.owners.length);
     }
 
     // Supabase integration
+    // this.supabase is whichever storage backend is configured - Supabase itself, or one of the
+    // local backends in storage-adapters.js that speak the same client subset
     initializeSupabase() {
         try {
-            if (window.SUPABASE_CONFIG && window.SUPABASE_CONFIG.url && window.SUPABASE_CONFIG.anonKey) {
-                this.supabase = window.supabase.createClient(
-                    window.SUPABASE_CONFIG.url,
-                    window.SUPABASE_CONFIG.anonKey
-                );
-                console.log('Supabase client initialized successfully');
+            this.supabase = createStorageBackend(window.STORAGE_CONFIG, window.SUPABASE_CONFIG);
+            if (this.supabase) {
+                console.log('Storage backend initialized successfully:', this.supabase.name || 'supabase');
             } else {
                 console.warn('Supabase configuration not found. Running in local-only mode.');
                 this.disableSyncButtons();
@@ -65,6 +136,188 @@ class DraftTracker {
         if (backupBtn) backupBtn.disabled = true;
     }
 
+    // Auth - Supabase sign-in mapped to an owners row (owners.user_id) for identity and permissions
+    async initializeAuth() {
+        if (!this.supabase?.auth) {
+            this.renderAuthStatus();
+            return;
+        }
+
+        try {
+            const { data } = await this.supabase.auth.getSession();
+            this.authUser = data?.session?.user || null;
+        } catch (error) {
+            console.error('Error loading auth session:', error);
+        }
+
+        this.supabase.auth.onAuthStateChange((event, session) => {
+            const userId = session?.user?.id || null;
+            if (userId === (this.authUser?.id || null)) return;
+
+            this.authUser = session?.user || null;
+            console.log('🔐 Auth state changed:', event, this.authUser?.email || 'signed out');
+            this.renderAuthStatus();
+            this.trackPresence();
+            this.render();
+        });
+
+        this.renderAuthStatus();
+    }
+
+    getAuthOwner() {
+        if (!this.authUser) return null;
+        return this.owners.find(o => o.user_id === this.authUser.id) || null;
+    }
+
+    isCommissioner() {
+        return !!this.getAuthOwner()?.is_commissioner;
+    }
+
+    // Rules apply once the league has linked at least one owner to an account;
+    // boards without auth set up keep working as before
+    isPermissionEnforced() {
+        return !!this.supabase?.auth && this.owners.some(o => o.user_id);
+    }
+
+    // Who did it, for the history log and presence
+    getActor() {
+        const owner = this.getAuthOwner();
+        return {
+            userId: this.authUser?.id || null,
+            ownerId: owner?.id || null,
+            name: owner?.name || this.authUser?.email || this.presenceIdentity.name
+        };
+    }
+
+    // Returns a reason the current user can't do this, or null when allowed
+    getPermissionError(action, context = {}) {
+        if (this.isReadOnly()) return `${this.getLeagueLabel(this.getActiveLeague())} is archived and read-only`;
+        if (!this.isPermissionEnforced()) return null;
+        if (!this.authUser) return 'Sign in to make changes to this league';
+        if (this.isCommissioner()) return null;
+
+        // Personal ranking lists are their owner's to clear or delete
+        if (['clear-rankings', 'delete-ranking-list'].includes(action) && this.isOwnRankingList(context.listType)) {
+            return null;
+        }
+
+        const owner = this.getAuthOwner();
+        if (['delete-player', 'clear-rankings', 'clear-all', 'rollover', 'purge-trash', 'delete-ranking-list', 'draft-settings', 'draft-clock'].includes(action)) {
+            return 'Only the commissioner can do that';
+        }
+        if (action === 'draft') {
+            if (!owner) return 'Your account is not linked to an owner in this league';
+            if (context.ownerId !== owner.id) return `You can only draft for ${owner.name}`;
+            const pick = this.getCurrentPick();
+            if (pick && pick.ownerId !== owner.id) {
+                return `It's ${this.getOwnerName(pick.ownerId)}'s turn - ${this.formatPickLabel(pick)}`;
+            }
+        }
+        if (action === 'undraft' && (!owner || context.ownerId !== owner.id)) {
+            return 'Only the commissioner can undo another owner\'s pick';
+        }
+        return null;
+    }
+
+    // Undo/redo is held to the same checks as the action it repeats or reverses: putting a player
+    // back on a roster is a draft, taking one off is an undraft, and removing one is a delete
+    getHistoryPermissionError(event, state) {
+        if (event.type === 'rank-move') return this.getPermissionError('rank');
+
+        const transitions = event.type === 'import' ?
+            event.after.players.map(p => [this.findAnyPlayer(p.id), state.players.find(s => s.id === p.id) || null]) :
+            [[this.findAnyPlayer(event.playerId), state]];
+
+        for (const [current, target] of transitions) {
+            let error = null;
+            if (current && (!target || (target.deletedAt && !current.deletedAt))) {
+                error = this.getPermissionError('delete-player');
+            } else if (current?.drafted && (!target?.drafted || target.fantasyOwner !== current.fantasyOwner)) {
+                error = this.getPermissionError('undraft', { ownerId: current.fantasyOwner });
+            }
+            if (!error && target?.drafted && (!current?.drafted || target.fantasyOwner !== current.fantasyOwner)) {
+                error = this.getPermissionError('draft', { ownerId: target.fantasyOwner });
+            }
+            if (error) return error;
+        }
+        return null;
+    }
+
+    checkPermission(action, context) {
+        const error = this.getPermissionError(action, context);
+        if (error) {
+            alert(error);
+            return false;
+        }
+        return true;
+    }
+
+    showAuthModal() {
+        if (this.authUser) {
+            if (confirm(`Signed in as ${this.authUser.email}. Sign out?`)) {
+                this.signOut();
+            }
+            return;
+        }
+        document.getElementById('authForm').reset();
+        document.getElementById('authModal').style.display = 'block';
+    }
+
+    // Email + password signs in directly; email alone sends a magic link
+    async handleSignIn(e) {
+        e.preventDefault();
+        const email = document.getElementById('authEmail').value.trim();
+        const password = document.getElementById('authPassword').value;
+
+        try {
+            this.setSyncStatus('Signing in...', 'loading');
+            if (password) {
+                const { error } = await this.supabase.auth.signInWithPassword({ email, password });
+                if (error) throw error;
+                this.setSyncStatus('Signed in', 'success');
+            } else {
+                const { error } = await this.supabase.auth.signInWithOtp({
+                    email,
+                    options: { emailRedirectTo: window.location.href }
+                });
+                if (error) throw error;
+                this.setSyncStatus(`Magic link sent to ${email}`, 'success');
+            }
+            this.closeAllModals();
+        } catch (error) {
+            console.error('Error signing in:', error);
+            this.setSyncStatus('Sign in failed', 'error');
+            alert(`Sign in failed: ${error.message}`);
+        }
+    }
+
+    async signOut() {
+        try {
+            const { error } = await this.supabase.auth.signOut();
+            if (error) throw error;
+            this.setSyncStatus('Signed out', 'success');
+        } catch (error) {
+            console.error('Error signing out:', error);
+            this.setSyncStatus('Error signing out', 'error');
+        }
+    }
+
+    renderAuthStatus() {
+        const button = document.getElementById('authBtn');
+        if (!button) return;
+
+        if (!this.supabase?.auth) {
+            button.style.display = 'none';
+            return;
+        }
+
+        const owner = this.getAuthOwner();
+        button.textContent = this.authUser ?
+            `${owner ? owner.name : this.authUser.email}${this.isCommissioner() ? ' (Commissioner)' : ''}` :
+            'Sign In';
+        button.title = this.authUser ? `Signed in as ${this.authUser.email} - click to sign out` : '';
+    }
+
     // Load owners from Supabase
     async loadOwners() {
         if (!this.supabase) {
@@ -76,7 +329,8 @@ class DraftTracker {
             console.log('📥 Loading owners from Supabase...');
             const { data, error } = await this.supabase
                 .from('owners')
-                .select('id, name')
+                .select('*') // id, name, plus user_id / is_commissioner once auth is set up
+                .eq('league_id', this.leagueId)
                 .order('name');
 
             if (error) {
@@ -92,6 +346,367 @@ class DraftTracker {
         }
     }
 
+    // Leagues and seasons - each season is its own league record with its own rows and storage.
+    // The registry lives in this browser and is mirrored to the leagues table for co-owners.
+    getDefaultLeague() {
+        return {
+            id: 'default', // Boards from before leagues existed keep their data here
+            name: 'My League',
+            season: new Date().getFullYear(),
+            archived: false,
+            parentLeagueId: null, // The season this one was rolled over from
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    loadLeagueRegistry() {
+        let registry = { leagues: [], activeLeagueId: 'default' };
+        const stored = localStorage.getItem('baseballDraftTrackerLeagues');
+        if (stored) {
+            try {
+                registry = { ...registry, ...JSON.parse(stored) };
+            } catch (e) {
+                console.error('Error loading leagues:', e);
+            }
+        }
+
+        if (!registry.leagues.some(l => l.id === 'default')) {
+            registry.leagues.unshift(this.getDefaultLeague());
+        }
+        if (!registry.leagues.some(l => l.id === registry.activeLeagueId)) {
+            registry.activeLeagueId = 'default';
+        }
+        return registry;
+    }
+
+    saveLeagueRegistry() {
+        localStorage.setItem('baseballDraftTrackerLeagues', JSON.stringify(this.leagueRegistry));
+    }
+
+    getActiveLeague() {
+        return this.leagueRegistry.leagues.find(l => l.id === this.leagueId);
+    }
+
+    getLeagueLabel(league) {
+        return `${league.name} ${league.season}`;
+    }
+
+    // Storage keys and realtime channels per league; the default league keeps the original names
+    getScopedKey(base, leagueId = this.leagueId) {
+        return leagueId === 'default' ? base : `${base}:${leagueId}`;
+    }
+
+    // Archived seasons keep their draft results for reference only
+    isReadOnly() {
+        return !!this.getActiveLeague()?.archived;
+    }
+
+    checkWritable() {
+        if (!this.isReadOnly()) return true;
+        alert(`${this.getLeagueLabel(this.getActiveLeague())} is archived and read-only. Switch to a current season to make changes.`);
+        return false;
+    }
+
+    leagueToRow(league) {
+        return {
+            id: league.id,
+            name: league.name,
+            season: league.season,
+            archived: league.archived,
+            parent_league_id: league.parentLeagueId,
+            created_at: league.createdAt
+        };
+    }
+
+    rowToLeague(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            season: row.season,
+            archived: !!row.archived,
+            parentLeagueId: row.parent_league_id || null,
+            createdAt: row.created_at
+        };
+    }
+
+    // Pick up leagues and seasons co-owners created on other devices
+    async loadLeagues() {
+        if (!this.supabase) return;
+
+        try {
+            const { data, error } = await this.supabase
+                .from('leagues')
+                .select('*')
+                .order('season');
+
+            if (error) throw error;
+            (data || []).forEach(row => {
+                const league = this.rowToLeague(row);
+                const index = this.leagueRegistry.leagues.findIndex(l => l.id === league.id);
+                if (index === -1) {
+                    this.leagueRegistry.leagues.push(league);
+                } else {
+                    this.leagueRegistry.leagues[index] = league;
+                }
+            });
+            this.saveLeagueRegistry();
+        } catch (error) {
+            console.error('Error loading leagues:', error);
+        }
+    }
+
+    // Throws so callers can stop before switching to a league that wasn't saved
+    async saveLeagueToSupabase(league) {
+        if (!this.supabase) return;
+
+        const { error } = await this.supabase
+            .from('leagues')
+            .upsert(this.leagueToRow(league), { onConflict: 'id' });
+        if (error) throw error;
+    }
+
+    renderLeagueSelect() {
+        const select = document.getElementById('leagueSelect');
+        if (select) {
+            const leagues = [...this.leagueRegistry.leagues].sort((a, b) =>
+                a.name.localeCompare(b.name) || b.season - a.season);
+
+            select.innerHTML = `
+                ${leagues.map(league => `
+                    <option value="${this.escapeHtml(league.id)}" ${league.id === this.leagueId ? 'selected' : ''}>
+                        ${this.escapeHtml(this.getLeagueLabel(league))}${league.archived ? ' (archived)' : ''}
+                    </option>
+                `).join('')}
+                <option value="new-league">New League...</option>
+                <option value="new-season">New Season...</option>
+            `;
+        }
+
+        const readOnly = this.isReadOnly();
+        document.body.classList.toggle('read-only', readOnly);
+        const banner = document.getElementById('archivedBanner');
+        if (banner) {
+            banner.style.display = readOnly ? 'block' : 'none';
+            banner.textContent = readOnly ?
+                `${this.getLeagueLabel(this.getActiveLeague())} is archived - its draft results are read-only.` : '';
+        }
+    }
+
+    handleLeagueSelect(value) {
+        if (value === 'new-league' || value === 'new-season') {
+            // Leave the current league selected unless the new one is created
+            document.getElementById('leagueSelect').value = this.leagueId;
+            if (value === 'new-league') {
+                this.createLeague();
+            } else {
+                this.rolloverSeason();
+            }
+        } else if (value !== this.leagueId) {
+            this.switchLeague(value);
+        }
+    }
+
+    switchLeague(leagueId) {
+        this.saveToStorage();
+        this.leagueRegistry.activeLeagueId = leagueId;
+        this.saveLeagueRegistry();
+        // All state, storage and subscriptions are league-scoped, so start fresh in the new one
+        window.location.reload();
+    }
+
+    async createLeague() {
+        const name = prompt('League name:');
+        if (!name || !name.trim()) return;
+
+        const season = parseInt(prompt('Season:', new Date().getFullYear()), 10);
+        if (!season) {
+            alert('Please enter a season year');
+            return;
+        }
+
+        const league = {
+            id: crypto.randomUUID(),
+            name: name.trim(),
+            season,
+            archived: false,
+            parentLeagueId: null,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await this.saveLeagueToSupabase(league);
+        } catch (error) {
+            console.error('Error creating league:', error);
+            this.setSyncStatus('Error creating league', 'error');
+            return;
+        }
+
+        this.leagueRegistry.leagues.push(league);
+        this.switchLeague(league.id);
+    }
+
+    // Copies owners, players and rankings into the next season with new IDs. Rostered players
+    // stay with their owners; pick numbers, the queue and the clock start over.
+    buildRolloverSeason(league, rankingLists) {
+        const now = new Date().toISOString();
+        const ownerIds = new Map();
+        const playerIds = new Map();
+        // Legacy name-only owners aren't rows, so they carry over as-is
+        const mapOwner = id => ownerIds.get(id) || id;
+
+        const owners = this.owners.map(owner => {
+            const id = crypto.randomUUID();
+            ownerIds.set(owner.id, id);
+            return { ...owner, id, league_id: league.id };
+        });
+
+        const players = this.players.map(player => {
+            const id = crypto.randomUUID();
+            playerIds.set(player.id, id);
+            const next = {
+                ...player,
+                id,
+                fantasyOwner: mapOwner(player.fantasyOwner),
+                draftRound: null,
+                draftPick: null,
+                onClockOwner: '',
+                addedDate: now,
+                syncedVersions: {}
+            };
+            this.stampFieldVersions(null, next);
+            return next;
+        });
+
+        // Named lists get new IDs too; the built-in list types carry over as they are
+        const listIds = new Map();
+        const namedLists = this.rankingLists.map(list => {
+            const id = crypto.randomUUID();
+            listIds.set(list.id, id);
+            return { ...list, id };
+        });
+
+        const rankings = {};
+        Object.entries(rankingLists).forEach(([listType, list]) => {
+            const newListType = listIds.get(listType) || listType;
+            rankings[newListType] = list
+                .filter(ranking => playerIds.has(ranking.player_id))
+                .map(ranking => ({
+                    id: crypto.randomUUID(),
+                    player_id: playerIds.get(ranking.player_id),
+                    list_type: newListType,
+                    rank_index: ranking.rank_index,
+                    league_id: league.id
+                }));
+        });
+
+        const draftSettings = {
+            ...this.draftSettings,
+            ownerOrder: this.draftSettings.ownerOrder.map(mapOwner),
+            customOrder: this.draftSettings.customOrder.map(round => round.map(mapOwner)),
+            myOwnerId: mapOwner(this.draftSettings.myOwnerId),
+            queue: [],
+            skippedPicks: []
+        };
+
+        return { owners, players, rankings, rankingLists: namedLists, draftSettings };
+    }
+
+    async rolloverSeason() {
+        const current = this.getActiveLeague();
+        if (current.archived) {
+            alert('Start the new season from the latest season, not an archived one');
+            return;
+        }
+        if (!this.checkPermission('rollover')) return;
+
+        const season = current.season + 1;
+        if (!confirm(`Start the ${season} season? Rosters carry forward and ${this.getLeagueLabel(current)} becomes read-only.`)) {
+            return;
+        }
+
+        const league = {
+            id: crypto.randomUUID(),
+            name: current.name,
+            season,
+            archived: false,
+            parentLeagueId: current.id,
+            createdAt: new Date().toISOString()
+        };
+        const rankingLists = this.supabase ? await this.loadAllRankingLists() : this.localRankings;
+        const { owners, players, rankings, rankingLists: namedLists, draftSettings } = this.buildRolloverSeason(league, rankingLists);
+
+        try {
+            this.setSyncStatus(`Starting the ${season} season...`, 'loading');
+
+            if (this.supabase) {
+                // The default league may only exist locally, and the new season points back at it
+                await this.saveLeagueToSupabase(current);
+                await this.saveLeagueToSupabase(league);
+
+                if (owners.length > 0) {
+                    const { error } = await this.supabase.from('owners').insert(owners);
+                    if (error) throw error;
+                }
+
+                const chunkSize = this.getSyncChunkSize();
+                for (let start = 0; start < players.length; start += chunkSize) {
+                    const chunk = players.slice(start, start + chunkSize)
+                        .map(player => ({ ...this.playerToRow(player), league_id: league.id }));
+                    const { error } = await this.supabase.from('players').insert(chunk);
+                    if (error) throw error;
+                }
+                players.forEach(player => {
+                    player.syncedVersions = { ...player.fieldVersions };
+                });
+
+                if (namedLists.length > 0) {
+                    const { error } = await this.supabase
+                        .from('ranking_lists')
+                        .insert(namedLists.map(list => ({ ...this.rankingListToRow(list), league_id: league.id })));
+                    if (error) throw error;
+                }
+
+                const rankingRows = Object.values(rankings).flat();
+                for (let start = 0; start < rankingRows.length; start += chunkSize) {
+                    const { error } = await this.supabase
+                        .from('player_rankings')
+                        .insert(rankingRows.slice(start, start + chunkSize));
+                    if (error) throw error;
+                }
+
+                const { error: settingsError } = await this.supabase
+                    .from('draft_settings')
+                    .insert({ ...this.draftSettingsToRow(draftSettings), league_id: league.id });
+                if (settingsError) throw settingsError;
+            }
+
+            // Archive last, so a failed rollover leaves the current season editable
+            await this.saveLeagueToSupabase({ ...current, archived: true });
+        } catch (error) {
+            console.error('Error starting new season:', error);
+            this.setSyncStatus('Error starting new season', 'error');
+            alert(`Could not start the ${season} season: ${error.message}`);
+            return;
+        }
+
+        localStorage.setItem(this.getScopedKey('baseballDraftTracker', league.id), JSON.stringify({
+            players,
+            draftSettings,
+            draftClock: this.getIdleDraftClock(),
+            rosterSettings: this.rosterSettings,
+            owners,
+            rankingLists: namedLists,
+            rankings,
+            syncWatermark: null,
+            lastUpdated: new Date().toISOString()
+        }));
+
+        current.archived = true;
+        this.leagueRegistry.leagues.push(league);
+        console.log('🗓️ Rolled over to', this.getLeagueLabel(league), '-', players.length, 'players,', owners.length, 'owners');
+        this.switchLeague(league.id);
+    }
+
     setSyncStatus(message, type = '') {
         const statusElement = document.getElementById('syncStatus');
         if (statusElement) {
@@ -111,67 +726,72 @@ class DraftTracker {
         }
     }
 
-    async loadFromSupabase() {
+    // Pulls only rows updated since the last sync watermark unless a full reload is asked for
+    async loadFromSupabase({ full = false } = {}) {
         if (!this.supabase) {
             this.setSyncStatus('Supabase not configured', 'error');
             return;
         }
 
+        const watermark = full ? null : this.syncWatermark;
+        this.startSyncResults(watermark ? 'Loading changes from Supabase' : 'Loading all players from Supabase');
+
         try {
             this.setSyncStatus('Loading...', 'loading');
 
-            const { data, error } = await this.supabase
-                .from('players')
-                .select('*')
-                .order('name');
-
-            if (error) {
-                throw error;
-            }
-
-            if (data && data.length > 0) {
+            // Supabase caps each response, so page through by (updated_at, id). The watermark's own
+            // timestamp is read again (a row saved in the same instant may have committed after the
+            // last load), so rows are keyed by id to drop any that come back twice.
+            const pageSize = this.getSyncChunkSize() * 5;
+            const rowsById = new Map();
+            let cursor = watermark ? { updatedAt: watermark, id: null } : null;
+            let page;
+            do {
+                page = await this.fetchPlayersPage(cursor, pageSize);
+                page.forEach(row => rowsById.set(row.id, row));
+                this.updateSyncResults({ total: rowsById.size, done: rowsById.size });
+
+                const last = page[page.length - 1];
+                cursor = last?.updated_at ? { updatedAt: last.updated_at, id: last.id } : null;
+            } while (page.length === pageSize && cursor);
+            const data = [...rowsById.values()];
+            const changed = watermark ? data.filter(row => row.updated_at !== watermark) : data;
+
+            if (changed.length > 0) {
                 console.log('📥 Loading', data.length, 'players from Supabase');
 
-                // Convert Supabase data to our format and ensure valid IDs
-                const supabasePlayers = data.map(player => {
-                    let playerId = player.id.toString();
+                // Convert Supabase data to our format; invalid IDs are skipped by the merge
+                const supabasePlayers = data.map(row => this.rowToPlayer(row));
 
-                    // Check if Supabase ID is invalid (team name instead of UUID)
-                    const isInvalidId = !playerId ||
-                        typeof playerId !== 'string' ||
-                        playerId.length < 20 ||  // UUIDs are longer than team names
-                        !playerId.includes('-') ||  // UUIDs have hyphens
-                        playerId.match(/^[a-zA-Z]+$/);  // Team names are just letters
-
-                    if (isInvalidId) {
-                        console.log('🚨 INVALID ID from Supabase:', player.name, 'ID:', playerId, 'length:', playerId.length);
-                    } else {
-                        console.log('✅ Valid ID from Supabase:', player.name, 'ID:', playerId.substring(0, 8) + '...');
-                    }
-
-                    return {
-                        id: playerId,
-                        name: player.name || '',
-                        position: player.position || '',
-                        mlbTeam: player.team || '',
-                        notes: player.notes || '',
-                        fantasyOwner: player.owner_id || '',
-                        drafted: player.drafted || false,
-                        draftNotes: player.draft_notes || '',
-                        addedDate: player.created_at || new Date().toISOString()
-                    };
-                });
+                // Advance the watermark before merging so the merge's save persists it
+                this.syncWatermark = data.reduce((latest, row) =>
+                    row.updated_at && row.updated_at > latest ? row.updated_at : latest, this.syncWatermark || '');
 
                 console.log('🔄 Starting merge with', supabasePlayers.length, 'Supabase players');
-                // Merge with existing local data, preserving local draft info
-                this.mergeSupabaseData(supabasePlayers);
-
-                this.setSyncStatus(`Loaded ${data.length} players from Supabase`, 'success');
+                const { skipped } = this.mergeSupabaseData(supabasePlayers);
+                skipped.forEach(player => this.updateSyncResults({
+                    failure: { name: player.name, error: `Invalid player ID "${player.id}"` }
+                }));
+
+                const skippedIds = new Set(skipped.map(player => player.id));
+                const loaded = changed.filter(row => !skippedIds.has(row.id.toString())).length;
+                this.finishSyncResults();
+                this.setSyncStatus(`Loaded ${loaded} players from Supabase`, skipped.length ? 'error' : 'success');
+            } else if (watermark) {
+                // Nothing newer; the rows at the watermark still merge in case one arrived late
+                if (data.length > 0) {
+                    this.mergeSupabaseData(data.map(row => this.rowToPlayer(row)));
+                }
+                this.finishSyncResults();
+                this.setSyncStatus('Already up to date with Supabase', 'success');
             } else {
+                this.finishSyncResults();
                 this.setSyncStatus('No players found in Supabase', 'error');
             }
         } catch (error) {
             console.error('Error loading from Supabase:', error);
+            this.updateSyncResults({ failure: { name: 'Load', error: error.message || String(error) } });
+            this.finishSyncResults();
             this.setSyncStatus('Error loading from Supabase', 'error');
         }
     }
@@ -179,12 +799,12 @@ class DraftTracker {
     mergeSupabaseData(supabasePlayers) {
         // Create a map of existing players by ID for accurate lookup
         const existingPlayerMap = new Map();
-        this.players.forEach(player => {
+        [...this.players, ...this.trash].forEach(player => {
             existingPlayerMap.set(player.id, player);
         });
 
-        // Track which local players have been updated
-        const updatedLocalIds = new Set();
+        const conflicts = [];
+        const skipped = [];
 
         // Merge data using ID matching
         supabasePlayers.forEach(supabasePlayer => {
@@ -197,132 +817,400 @@ class DraftTracker {
 
             if (isInvalidId) {
                 console.log('🔧 Supabase player has invalid ID, skipping merge:', supabasePlayer.name, supabasePlayer.id);
+                skipped.push(supabasePlayer);
                 return; // Skip merging players with invalid IDs
             }
 
             const existingPlayer = existingPlayerMap.get(supabasePlayer.id);
 
             if (existingPlayer) {
-                // Update ALL fields from Supabase
-                const wasDraftedLocally = existingPlayer.drafted;
-                const localOwner = existingPlayer.fantasyOwner;
-                const localNotes = existingPlayer.draftNotes;
-                const localDraftDate = existingPlayer.draftedDate;
-
-                // Copy all Supabase data
-                Object.assign(existingPlayer, supabasePlayer);
-
-                // Preserve local draft info if it exists and Supabase doesn't have it
-                if (wasDraftedLocally && (!supabasePlayer.drafted || supabasePlayer.drafted === false)) {
-                    existingPlayer.drafted = true;
-                    existingPlayer.fantasyOwner = localOwner;
-                    existingPlayer.draftNotes = localNotes;
-                    existingPlayer.draftedDate = localDraftDate;
-                }
-
-                updatedLocalIds.add(existingPlayer.id);
+                // Newer value wins per field group; true conflicts are collected for the user
+                conflicts.push(...this.mergeRemotePlayer(existingPlayer, supabasePlayer).conflicts);
             } else {
                 // Add new player from Supabase
-                this.players.push(supabasePlayer);
+                this.players.push({ ...supabasePlayer, syncedVersions: { ...supabasePlayer.fieldVersions } });
             }
         });
 
+        this.reconcileTrash();
         this.saveToStorage();
         this.render();
-    }
 
-    async backupToSupabase() {
-        if (!this.supabase) {
-            this.setSyncStatus('Supabase not configured', 'error');
-            return;
+        if (conflicts.length > 0) {
+            console.log('⚠️ Sync conflicts need resolving:', conflicts.length);
+            this.showConflictModal(conflicts);
         }
 
-        try {
-            this.setSyncStatus('Backing up...', 'loading');
-
-            // Convert our data format to Supabase format
-            const supabaseData = this.players.map(player => {
-                // Ensure ID is a valid UUID - convert any invalid IDs
-                let playerId = player.id;
-                console.log('📋 Processing player:', player.name, 'ID:', playerId, 'length:', playerId?.length);
-
-                const isInvalidId = !playerId ||
-                    typeof playerId !== 'string' ||
-                    playerId.length < 20 ||  // UUIDs are longer than team names
-                    !playerId.includes('-') ||  // UUIDs have hyphens
-                    playerId.match(/^[a-zA-Z]+$/);  // Team names are just letters
-
-                console.log('🔍 isInvalidId check:', {
-                    notPlayerId: !playerId,
-                    notString: typeof playerId !== 'string',
-                    tooShort: playerId?.length < 20,
-                    noHyphen: !playerId?.includes('-'),
-                    onlyLetters: playerId?.match(/^[a-zA-Z]+$/),
-                    result: isInvalidId
-                });
+        return { conflicts, skipped };
+    }
 
-                if (isInvalidId) {
-                    console.log('🔧 Fixing invalid ID for player:', player.name, 'old ID:', playerId);
-                    playerId = crypto.randomUUID();
-                    // Update the local player object too
-                    player.id = playerId;
-                    console.log('✅ New UUID:', playerId);
-                } else {
-                    console.log('✅ ID is already valid for player:', player.name);
-                }
+    // Supabase schema mapping - the one place players rows and local players are converted.
+    // Local-only fields (starred, headshotUrl, draftedDate, syncedVersions) never go to Supabase,
+    // and merges only copy synced field groups, so they survive every load and realtime update.
+    isUuidLike(value) {
+        return typeof value === 'string' &&
+            value.length >= 20 &&  // UUIDs are longer than team names
+            value.includes('-') &&  // UUIDs have hyphens
+            !/^[a-zA-Z]+$/.test(value);  // Team names are just letters
+    }
 
-                // Only send owner_id if it's a valid UUID, otherwise send null
-                let ownerId = null;
-                if (player.fantasyOwner) {
-                    const isValidOwnerId = typeof player.fantasyOwner === 'string' &&
-                        player.fantasyOwner.length >= 20 &&
-                        player.fantasyOwner.includes('-') &&
-                        !player.fantasyOwner.match(/^[a-zA-Z]+$/); // Not just letters
+    // One page of this league's players ordered by (updated_at, id), starting after the cursor:
+    // the rest of the cursor's timestamp first, then later timestamps. Without a cursor, the first page;
+    // a cursor without an id starts at its timestamp.
+    async fetchPlayersPage(cursor, pageSize) {
+        const query = () => this.supabase
+            .from('players')
+            .select('*')
+            .eq('league_id', this.leagueId);
+
+        if (!cursor) {
+            const { data, error } = await query()
+                .order('updated_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(0, pageSize - 1);
+            if (error) throw error;
+            return data || [];
+        }
 
-                    if (isValidOwnerId) {
-                        ownerId = player.fantasyOwner;
-                    } else {
-                        console.log('⚠️ Invalid owner_id for player:', player.name, 'value:', player.fantasyOwner, '- sending null');
-                    }
-                }
+        let sameTimeQuery = query().eq('updated_at', cursor.updatedAt);
+        if (cursor.id) {
+            sameTimeQuery = sameTimeQuery.gt('id', cursor.id);
+        }
+        const { data: sameTime, error: sameTimeError } = await sameTimeQuery
+            .order('id', { ascending: true })
+            .range(0, pageSize - 1);
+        if (sameTimeError) throw sameTimeError;
+
+        const page = sameTime || [];
+        if (page.length === pageSize) return page;
+
+        const { data: later, error: laterError } = await query()
+            .gt('updated_at', cursor.updatedAt)
+            .order('updated_at', { ascending: true })
+            .order('id', { ascending: true })
+            .range(0, pageSize - page.length - 1);
+        if (laterError) throw laterError;
+
+        return [...page, ...(later || [])];
+    }
 
-                const dataToSend = {
-                    id: playerId,
-                    name: player.name,
-                    position: player.position || null,
-                    team: player.mlbTeam || null,
-                    notes: player.notes || null,
-                    owner_id: ownerId,
-                    drafted: player.drafted || false,
-                    draft_notes: player.draftNotes || null,
-                    updated_at: new Date().toISOString()
-                };
+    rowToPlayer(row) {
+        const { positions, primaryPosition, position } = this.getRowPositions(row);
+
+        return {
+            id: row.id.toString(),
+            name: row.name || '',
+            position,
+            positions,
+            primaryPosition,
+            mlbTeam: row.team || '',
+            notes: row.notes || '',
+            fantasyOwner: row.owner_id || '',
+            drafted: row.drafted || false,
+            draftNotes: row.draft_notes || '',
+            draftRound: row.draft_round || null,
+            draftPick: row.draft_pick || null,
+            onClockOwner: row.on_clock_owner_id || '',
+            deletedAt: row.deleted_at || null,
+            fieldVersions: this.getRowFieldVersions(row),
+            addedDate: row.created_at || new Date().toISOString()
+        };
+    }
 
-                console.log('📤 Sending to Supabase:', player.name, 'ID:', dataToSend.id, 'owner_id:', dataToSend.owner_id);
-                return dataToSend;
-            });
+    // Owner columns reference the owners table, so legacy name-only owners are sent as null
+    playerToRow(player) {
+        return {
+            id: player.id,
+            name: player.name,
+            position: player.position || null,
+            positions: this.getPlayerPositions(player),
+            primary_position: player.primaryPosition || null,
+            team: player.mlbTeam || null,
+            notes: player.notes || null,
+            owner_id: this.isUuidLike(player.fantasyOwner) ? player.fantasyOwner : null,
+            drafted: player.drafted || false,
+            draft_notes: player.draftNotes || null,
+            draft_round: player.draftRound || null,
+            draft_pick: player.draftPick || null,
+            on_clock_owner_id: this.isUuidLike(player.onClockOwner) ? player.onClockOwner : null,
+            deleted_at: player.deletedAt || null,
+            field_versions: player.fieldVersions || {},
+            league_id: this.leagueId,
+            updated_at: new Date().toISOString()
+        };
+    }
 
-            // Use individual operations to handle duplicates properly
-            let successCount = 0;
-            let errorCount = 0;
+    // Conflict-aware sync - each synced field group carries its own version timestamp
+    getSyncFieldGroups() {
+        return {
+            name: ['name'],
+            position: ['position', 'positions', 'primaryPosition'],
+            mlbTeam: ['mlbTeam'],
+            notes: ['notes'],
+            draft: ['drafted', 'fantasyOwner', 'draftRound', 'draftPick', 'onClockOwner'],
+            draftNotes: ['draftNotes'],
+            deleted: ['deletedAt']
+        };
+    }
 
-            for (const playerData of supabaseData) {
-                try {
-                    const { error } = await this.supabase
-                        .from('players')
-                        .upsert(playerData, { onConflict: 'id' });
+    // Groups where edits on both sides need a person to pick; the rest take the newer value
+    getConflictGroups() {
+        return ['notes', 'draftNotes', 'draft'];
+    }
 
-                    if (error) {
-                        console.error('Error backing up player:', playerData.name, error);
-                        errorCount++;
-                    } else {
-                        successCount++;
-                    }
-                } catch (err) {
-                    console.error('Exception backing up player:', playerData.name, err);
-                    errorCount++;
-                }
-            }
+    getFieldGroupLabel(group) {
+        const labels = {
+            name: 'Name',
+            position: 'Position',
+            mlbTeam: 'MLB Team',
+            notes: 'Notes',
+            draft: 'Draft',
+            draftNotes: 'Draft Notes',
+            deleted: 'Trash'
+        };
+        return labels[group] || group;
+    }
+
+    getFieldGroupValue(player, group) {
+        return JSON.stringify(this.getSyncFieldGroups()[group].map(field => {
+            const value = player[field];
+            if (Array.isArray(value)) return value.length ? value.join('/') : null;
+            return value || null;
+        }));
+    }
+
+    // Bump the version of every field group that differs between two states of a player
+    stampFieldVersions(before, after) {
+        const now = new Date().toISOString();
+        const versions = { ...(before?.fieldVersions || {}) };
+        Object.keys(this.getSyncFieldGroups()).forEach(group => {
+            if (!before || this.getFieldGroupValue(before, group) !== this.getFieldGroupValue(after, group)) {
+                versions[group] = now;
+            }
+        });
+        after.fieldVersions = versions;
+    }
+
+    // Rows written before field versions existed are dated by their updated_at
+    getRowFieldVersions(row) {
+        if (row.field_versions && typeof row.field_versions === 'object') {
+            return { ...row.field_versions };
+        }
+        const version = row.updated_at || row.created_at || '';
+        return Object.fromEntries(Object.keys(this.getSyncFieldGroups()).map(group => [group, version]));
+    }
+
+    applyFieldGroup(player, source, group, version) {
+        this.getSyncFieldGroups()[group].forEach(field => {
+            player[field] = Array.isArray(source[field]) ? [...source[field]] : source[field];
+        });
+        // draftedDate is local-only, so keep it in step with the remote draft state
+        if (group === 'draft') {
+            if (!player.drafted) {
+                delete player.draftedDate;
+            } else if (!player.draftedDate) {
+                player.draftedDate = version;
+            }
+        }
+    }
+
+    // Merge a remote player into its local copy group by group. A group changed on only one side
+    // since the last sync takes that side; changed on both, the newer wins unless it's a conflict group.
+    mergeRemotePlayer(local, remote) {
+        const synced = local.syncedVersions || {};
+        const localVersions = local.fieldVersions || {};
+        const remoteVersions = remote.fieldVersions || {};
+        local.fieldVersions = { ...localVersions };
+        const nextSynced = { ...synced };
+        const conflicts = [];
+        let changed = false;
+
+        Object.keys(this.getSyncFieldGroups()).forEach(group => {
+            const remoteVersion = remoteVersions[group] || '';
+            // Boards saved before field versions still have the draft date to go on
+            const localVersion = localVersions[group] || (group === 'draft' && local.draftedDate) || '';
+            const syncedVersion = synced[group] || '';
+
+            if (this.getFieldGroupValue(local, group) === this.getFieldGroupValue(remote, group)) {
+                nextSynced[group] = remoteVersion;
+                return;
+            }
+
+            const remoteChanged = remoteVersion > syncedVersion;
+            const localChanged = localVersion > syncedVersion;
+
+            if (remoteChanged && localChanged && this.getConflictGroups().includes(group)) {
+                // Leave the synced version alone so the conflict stays visible until resolved
+                conflicts.push({
+                    playerId: local.id,
+                    playerName: local.name,
+                    group,
+                    localValues: Object.fromEntries(this.getSyncFieldGroups()[group].map(f => [f, local[f]])),
+                    remoteValues: Object.fromEntries(this.getSyncFieldGroups()[group].map(f => [f, remote[f]])),
+                    localVersion,
+                    remoteVersion
+                });
+                return;
+            }
+
+            if (remoteVersion > localVersion) {
+                this.applyFieldGroup(local, remote, group, remoteVersion);
+                local.fieldVersions[group] = remoteVersion;
+                changed = true;
+            }
+            nextSynced[group] = remoteVersion;
+        });
+
+        local.syncedVersions = nextSynced;
+        return { changed, conflicts };
+    }
+
+    formatConflictValue(conflict, values) {
+        if (conflict.group === 'draft') {
+            if (!values.drafted) return 'Available';
+            const pick = values.draftPick ? ` (pick ${this.getPlayerPickLabel(values)})` : '';
+            return `Drafted by ${this.getOwnerName(values.fantasyOwner)}${pick}`;
+        }
+        const value = Object.values(values)[0];
+        return value ? String(value) : '(empty)';
+    }
+
+    showConflictModal(conflicts) {
+        const modal = document.getElementById('conflictModal');
+        const isOpen = modal.style.display === 'block';
+        const pending = isOpen ? this.pendingConflicts : [];
+
+        conflicts.forEach(conflict => {
+            const index = pending.findIndex(c => c.playerId === conflict.playerId && c.group === conflict.group);
+            if (index !== -1) {
+                pending[index] = conflict;
+            } else {
+                pending.push(conflict);
+            }
+        });
+        this.pendingConflicts = pending;
+
+        document.getElementById('conflictList').innerHTML = pending.map((conflict, index) => `
+            <div class="conflict-item">
+                <div class="conflict-title">${this.escapeHtml(conflict.playerName)} - ${this.getFieldGroupLabel(conflict.group)}</div>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="local" checked>
+                    <span class="conflict-source">Mine, ${new Date(conflict.localVersion).toLocaleString()}</span>
+                    <span class="conflict-value">${this.escapeHtml(this.formatConflictValue(conflict, conflict.localValues))}</span>
+                </label>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="remote">
+                    <span class="conflict-source">Theirs, ${new Date(conflict.remoteVersion).toLocaleString()}</span>
+                    <span class="conflict-value">${this.escapeHtml(this.formatConflictValue(conflict, conflict.remoteValues))}</span>
+                </label>
+            </div>
+        `).join('');
+
+        modal.style.display = 'block';
+    }
+
+    handleResolveConflicts() {
+        const conflicts = this.pendingConflicts;
+        const resolvedPlayers = new Map();
+
+        conflicts.forEach((conflict, index) => {
+            const player = this.players.find(p => p.id === conflict.playerId);
+            if (!player) return;
+
+            const choice = document.querySelector(`input[name="conflict-${index}"]:checked`)?.value || 'local';
+            const before = { ...player };
+            if (choice === 'remote') {
+                this.applyFieldGroup(player, conflict.remoteValues, conflict.group, conflict.remoteVersion);
+            }
+
+            // The resolution is the newest edit, so it wins on the next sync in both directions
+            player.fieldVersions = { ...(player.fieldVersions || {}), [conflict.group]: new Date().toISOString() };
+            player.syncedVersions = { ...(player.syncedVersions || {}), [conflict.group]: conflict.remoteVersion };
+            if (choice === 'remote') {
+                this.recordEvent('edit', player.id, before, player);
+            }
+            resolvedPlayers.set(player.id, player);
+        });
+
+        this.pendingConflicts = [];
+        this.saveToStorage();
+        this.render();
+        this.closeAllModals();
+        this.setSyncStatus(`Resolved ${conflicts.length} conflicts`, 'success');
+
+        resolvedPlayers.forEach((player, playerId) => this.queuePlayerChange(playerId));
+    }
+
+    // Sends only players edited since Supabase last acknowledged them, in chunked bulk upserts
+    async backupToSupabase({ all = false } = {}) {
+        if (!this.supabase) {
+            this.setSyncStatus('Supabase not configured', 'error');
+            return;
+        }
+
+        const allPlayers = [...this.players, ...this.trash];
+        const playersToSend = all ? allPlayers : allPlayers.filter(p => this.isPlayerDirty(p));
+        if (playersToSend.length === 0) {
+            this.setSyncStatus('Nothing to back up - all players synced', 'success');
+            return;
+        }
+
+        this.startSyncResults(`Backing up ${playersToSend.length} players to Supabase`, playersToSend.length);
+
+        try {
+            this.setSyncStatus('Backing up...', 'loading');
+
+            // Convert our data format to Supabase format, fixing any invalid local IDs first
+            const supabaseData = playersToSend.map(player => {
+                if (!this.isUuidLike(player.id)) {
+                    console.log('🔧 Fixing invalid ID for player:', player.name, 'old ID:', player.id);
+                    player.id = crypto.randomUUID();
+                }
+                return this.playerToRow(player);
+            });
+
+            let successCount = 0;
+            let errorCount = 0;
+            const chunkSize = this.getSyncChunkSize();
+
+            for (let start = 0; start < supabaseData.length; start += chunkSize) {
+                const chunk = supabaseData.slice(start, start + chunkSize);
+                const chunkPlayers = playersToSend.slice(start, start + chunkSize);
+
+                const { error: chunkError } = await this.supabase
+                    .from('players')
+                    .upsert(chunk, { onConflict: 'id' });
+
+                if (!chunkError) {
+                    chunkPlayers.forEach((player, i) => {
+                        player.syncedVersions = { ...chunk[i].field_versions };
+                    });
+                    successCount += chunk.length;
+                } else {
+                    // Retry the chunk row by row so one bad row doesn't fail its neighbours
+                    console.error('Chunk upsert failed, retrying rows individually:', chunkError);
+                    for (const [i, playerData] of chunk.entries()) {
+                        try {
+                            const { error } = await this.supabase
+                                .from('players')
+                                .upsert(playerData, { onConflict: 'id' });
+
+                            if (error) throw error;
+                            chunkPlayers[i].syncedVersions = { ...playerData.field_versions };
+                            successCount++;
+                        } catch (err) {
+                            console.error('Error backing up player:', playerData.name, err);
+                            this.updateSyncResults({ failure: { name: playerData.name, error: err.message || String(err) } });
+                            errorCount++;
+                        }
+                    }
+                }
+
+                this.updateSyncResults({ done: Math.min(start + chunkSize, supabaseData.length) });
+            }
+
+            this.saveToStorage();
+            this.finishSyncResults();
 
             if (errorCount === 0) {
                 this.setSyncStatus(`Backed up ${successCount} players to Supabase`, 'success');
@@ -331,17 +1219,337 @@ class DraftTracker {
             }
         } catch (error) {
             console.error('Error backing up to Supabase:', error);
+            this.updateSyncResults({ failure: { name: 'Backup', error: error.message || String(error) } });
+            this.finishSyncResults();
             this.setSyncStatus('Error backing up to Supabase', 'error');
         }
     }
 
+    getSyncChunkSize() {
+        return 200;
+    }
+
+    // Deletes by id put every id in the request URL, so they go in smaller chunks
+    getDeleteChunkSize() {
+        return 50;
+    }
+
+    // Dirty = some field group was edited after the version Supabase last acknowledged
+    isPlayerDirty(player) {
+        if (!player.syncedVersions) return true;
+        return Object.entries(player.fieldVersions || {})
+            .some(([group, version]) => version > (player.syncedVersions[group] || ''));
+    }
+
+    // Sync results panel - progress and per-row failures for manual load/backup.
+    // Opens on its own only for multi-chunk runs or when something failed.
+    startSyncResults(title, total = 0) {
+        this.syncResults = { title, total, done: 0, failures: [], finished: false };
+        if (total > this.getSyncChunkSize()) {
+            document.getElementById('syncResultsModal').style.display = 'block';
+        }
+        this.renderSyncResults();
+    }
+
+    updateSyncResults({ total, done, failure } = {}) {
+        if (!this.syncResults) return;
+        if (total !== undefined) this.syncResults.total = total;
+        if (done !== undefined) this.syncResults.done = done;
+        if (failure) this.syncResults.failures.push(failure);
+        this.renderSyncResults();
+    }
+
+    finishSyncResults() {
+        if (!this.syncResults) return;
+        this.syncResults.finished = true;
+        if (this.syncResults.failures.length > 0) {
+            document.getElementById('syncResultsModal').style.display = 'block';
+        }
+        this.renderSyncResults();
+    }
+
+    renderSyncResults() {
+        const container = document.getElementById('syncResults');
+        const results = this.syncResults;
+        if (!container || !results) return;
+
+        const percent = results.total ? Math.round((results.done / results.total) * 100) : (results.finished ? 100 : 0);
+        const succeeded = Math.max(0, results.done - results.failures.length);
+
+        container.innerHTML = `
+            <p class="import-summary">${this.escapeHtml(results.title)}${results.finished ? '' : '...'}</p>
+            <div class="sync-progress"><div class="sync-progress-bar" style="width: ${percent}%"></div></div>
+            <p class="form-help">${results.done} of ${results.total} processed - ${succeeded} succeeded, ${results.failures.length} failed</p>
+            ${results.failures.length ? `
+                <div class="import-preview-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Player</th>
+                                <th>Error</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${results.failures.map(failure => `
+                                <tr class="import-row invalid">
+                                    <td>${this.escapeHtml(failure.name)}</td>
+                                    <td>${this.escapeHtml(failure.error)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // Offline outbox - every player mutation is queued durably and replayed to Supabase in order
+    loadOutbox() {
+        const stored = localStorage.getItem(this.getScopedKey('baseballDraftTrackerOutbox'));
+        if (stored) {
+            try {
+                const data = JSON.parse(stored);
+                this.outbox = data.entries || [];
+                this.outboxFailed = data.failed || [];
+            } catch (e) {
+                console.error('Error loading outbox:', e);
+                this.outbox = [];
+                this.outboxFailed = [];
+            }
+        }
+    }
+
+    saveOutbox() {
+        localStorage.setItem(this.getScopedKey('baseballDraftTrackerOutbox'), JSON.stringify({
+            entries: this.outbox,
+            failed: this.outboxFailed,
+            lastUpdated: new Date().toISOString()
+        }));
+    }
+
+    // One entry per player; the row is built from current state when flushed, so the latest change wins
+    queuePlayerChange(playerId) {
+        this.queuePlayerChanges([playerId]);
+    }
+
+    queuePlayerChanges(playerIds) {
+        const queued = new Set(playerIds);
+        this.outbox = this.outbox.filter(entry => !queued.has(entry.playerId));
+        this.outboxFailed = this.outboxFailed.filter(entry => !queued.has(entry.playerId));
+        queued.forEach(playerId => this.outbox.push({
+            id: crypto.randomUUID(),
+            action: this.findAnyPlayer(playerId) ? 'upsert' : 'delete',
+            playerId,
+            queuedAt: new Date().toISOString(),
+            attempts: 0
+        }));
+        this.saveOutbox();
+        this.renderOutboxStatus();
+        this.flushOutbox();
+    }
+
+    // 2s, 4s, 8s ... capped at a minute
+    getOutboxRetryDelay(attempts) {
+        return Math.min(2000 * 2 ** (attempts - 1), 60000);
+    }
+
+    // About five minutes of backoff before a change that keeps failing stops holding up the rest
+    getOutboxMaxAttempts() {
+        return 8;
+    }
+
+    // Errors Supabase will give again however often the change is retried: a request it rejected
+    // (4xx) or a database error like a row-level security violation (42501) or a missing column.
+    // Network failures carry no code and are worth retrying.
+    isPermanentSyncError(error) {
+        if (error?.status >= 400 && error.status < 500 && ![408, 429].includes(error.status)) return true;
+        return typeof error?.code === 'string' && /^(22|23|42|PGRST)/.test(error.code);
+    }
+
+    // Take the first entry out of the queue so the changes behind it can drain
+    setAsideOutboxEntry(entry, error) {
+        console.error('Outbox change set aside:', entry.action, entry.playerId, error);
+        this.outbox = this.outbox.filter(e => e.id !== entry.id);
+        this.outboxFailed.push({
+            ...entry,
+            name: this.findAnyPlayer(entry.playerId)?.name || '',
+            failedAt: new Date().toISOString()
+        });
+        this.saveOutbox();
+    }
+
+    // Put set-aside changes back in the queue, rebuilt from the players' current state
+    retryFailedOutbox() {
+        const playerIds = this.outboxFailed.map(entry => entry.playerId);
+        this.outboxFailed = [];
+        this.queuePlayerChanges(playerIds);
+    }
+
+    showOutboxFailures() {
+        if (this.outboxFailed.length === 0) return;
+
+        const lines = this.outboxFailed.map(entry =>
+            `- ${entry.name || entry.playerId} (${entry.action}): ${entry.lastError || 'unknown error'}`);
+        if (confirm(`${this.outboxFailed.length} changes could not be saved to Supabase:\n${lines.join('\n')}\n\nRetry them now?`)) {
+            this.retryFailedOutbox();
+        }
+    }
+
+    scheduleOutboxFlush(delayMs) {
+        clearTimeout(this.outboxTimer);
+        this.outboxRetryAt = Date.now() + delayMs;
+        this.outboxTimer = setTimeout(() => {
+            this.outboxRetryAt = null;
+            this.flushOutbox();
+        }, delayMs);
+        this.renderOutboxStatus();
+    }
+
+    async flushOutbox() {
+        if (!this.supabase || this.outboxFlushing || this.outbox.length === 0) return;
+        if (navigator.onLine === false) {
+            this.renderOutboxStatus();
+            return; // the 'online' listener picks this back up
+        }
+
+        this.outboxFlushing = true;
+        clearTimeout(this.outboxTimer);
+        this.outboxRetryAt = null;
+        this.renderOutboxStatus();
+
+        // After a failed batch the rest of this flush goes row by row, so one bad row is retried on its own
+        let singleRows = false;
+
+        try {
+            while (this.outbox.length > 0) {
+                const batch = singleRows ? [] : this.getOutboxBatch();
+                if (batch.length > 1) {
+                    try {
+                        if (batch[0].action === 'upsert') {
+                            await this.syncPlayersToSupabase(batch.map(entry => this.findAnyPlayer(entry.playerId)));
+                        } else {
+                            await this.deletePlayersFromSupabase(batch.map(entry => entry.playerId));
+                        }
+                    } catch (error) {
+                        console.error('Outbox batch failed, sending rows one by one:', error);
+                        singleRows = true;
+                        continue;
+                    }
+
+                    // Entries replaced by a newer change while in flight have new ids and stay queued
+                    const sent = new Set(batch.map(entry => entry.id));
+                    this.outbox = this.outbox.filter(entry => !sent.has(entry.id));
+                    this.saveOutbox();
+                    this.renderOutboxStatus();
+                    continue;
+                }
+
+                const entry = this.outbox[0];
+                const player = entry.action === 'upsert' ? this.findAnyPlayer(entry.playerId) : null;
+
+                try {
+                    await this.syncPlayerStateToSupabase(entry.playerId, player);
+                } catch (error) {
+                    entry.attempts++;
+                    entry.lastError = error.message || String(error);
+                    if (this.isPermanentSyncError(error) || entry.attempts >= this.getOutboxMaxAttempts()) {
+                        this.setAsideOutboxEntry(entry, error);
+                        this.renderOutboxStatus();
+                        continue;
+                    }
+                    console.error('Outbox sync failed, will retry:', entry.action, entry.playerId, error);
+                    this.saveOutbox();
+                    this.scheduleOutboxFlush(this.getOutboxRetryDelay(entry.attempts));
+                    return;
+                }
+
+                // The entry may have been replaced by a newer change while this one was in flight
+                if (this.outbox[0]?.id === entry.id) {
+                    this.outbox.shift();
+                }
+                this.saveOutbox();
+                this.renderOutboxStatus();
+            }
+        } finally {
+            this.outboxFlushing = false;
+            this.renderOutboxStatus();
+        }
+    }
+
+    // Leading run of queued upserts (or deletes), sent together as one chunk
+    getOutboxBatch() {
+        const action = this.outbox[0]?.action;
+        const limit = action === 'delete' ? this.getDeleteChunkSize() : this.getSyncChunkSize();
+        const batch = [];
+        for (const entry of this.outbox) {
+            if (entry.action !== action || batch.length >= limit) break;
+            if (action === 'upsert' && !this.findAnyPlayer(entry.playerId)) break;
+            batch.push(entry);
+        }
+        return batch;
+    }
+
+    renderOutboxStatus() {
+        const element = document.getElementById('pendingChanges');
+        if (!element) return;
+
+        const count = this.outbox.length;
+        const failed = this.outboxFailed.length;
+        element.className = 'pending-changes';
+
+        if (!this.supabase) {
+            element.textContent = count ? `${count} unsynced` : '';
+            return;
+        }
+
+        if (failed > 0) {
+            element.textContent = count ? `${count} pending, ${failed} failed` : `${failed} failed to sync`;
+            element.classList.add('failed');
+            element.title = 'Click to see the failed changes';
+            return;
+        }
+
+        if (count === 0) {
+            element.textContent = 'All changes synced';
+            element.classList.add('synced');
+        } else if (navigator.onLine === false) {
+            element.textContent = `${count} pending - offline`;
+            element.classList.add('offline');
+        } else if (this.outboxRetryAt) {
+            const seconds = Math.max(1, Math.ceil((this.outboxRetryAt - Date.now()) / 1000));
+            element.textContent = `${count} pending - retrying in ${seconds}s`;
+            element.classList.add('retrying');
+        } else {
+            element.textContent = `${count} pending`;
+        }
+        element.title = this.outbox[0]?.lastError || '';
+    }
+
     // Data persistence
     loadFromStorage() {
-        const stored = localStorage.getItem('baseballDraftTracker');
+        const stored = localStorage.getItem(this.getScopedKey('baseballDraftTracker'));
         if (stored) {
             try {
                 const data = JSON.parse(stored);
                 this.players = data.players || [];
+                this.trash = data.trash || [];
+                this.localRankings = data.rankings || {};
+                this.syncWatermark = data.syncWatermark || null;
+                // Cached owners keep names resolvable when Supabase is unavailable
+                if (this.owners.length === 0 && Array.isArray(data.owners)) {
+                    this.owners = data.owners;
+                }
+                if (this.rankingLists.length === 0 && Array.isArray(data.rankingLists)) {
+                    this.rankingLists = data.rankingLists;
+                }
+                this.draftSettings = { ...this.getDefaultDraftSettings(), ...(data.draftSettings || {}) };
+                this.draftClock = data.draftClock || this.getIdleDraftClock();
+                const defaultRoster = this.getDefaultRosterSettings();
+                this.rosterSettings = {
+                    ...defaultRoster,
+                    ...(data.rosterSettings || {}),
+                    slots: { ...defaultRoster.slots, ...(data.rosterSettings?.slots || {}) }
+                };
             } catch (e) {
                 console.error('Error loading data:', e);
                 this.players = [];
@@ -352,17 +1560,47 @@ class DraftTracker {
     saveToStorage() {
         const data = {
             players: this.players,
+            trash: this.trash,
+            draftSettings: this.draftSettings,
+            draftClock: this.draftClock,
+            rosterSettings: this.rosterSettings,
+            owners: this.owners,
+            rankingLists: this.rankingLists,
+            rankings: this.localRankings,
+            syncWatermark: this.syncWatermark,
             lastUpdated: new Date().toISOString()
         };
-        localStorage.setItem('baseballDraftTracker', JSON.stringify(data));
+        localStorage.setItem(this.getScopedKey('baseballDraftTracker'), JSON.stringify(data));
     }
 
     // Player management
-    addPlayer(playerData) {
+    // Batch callers pass deferSave and save/render once when they're done
+    addPlayer(playerData, { deferSave = false } = {}) {
+        const player = this.createPlayer(playerData);
+        this.players.push(player);
+        this.recordEvent('add', player.id, null, player);
+        if (!deferSave) {
+            this.saveToStorage();
+            this.render();
+        }
+        this.queuePlayerChange(player.id);
+        return player;
+    }
+
+    // A new, unsaved player from form or import data
+    createPlayer(playerData) {
+        // Accept structured positions, or parse a free-text position string
+        const { positions, primaryPosition, position } = Array.isArray(playerData.positions) ?
+            { positions: playerData.positions, primaryPosition: playerData.primaryPosition,
+              position: this.formatPositions(playerData.positions, playerData.primaryPosition) } :
+            this.getTextPositions(playerData.position || '');
+
         const player = {
             id: crypto.randomUUID(),
             name: playerData.name.trim(),
-            position: playerData.position?.trim() || '',
+            position,
+            positions,
+            primaryPosition: positions.includes(primaryPosition) ? primaryPosition : (positions[0] || ''),
             mlbTeam: playerData.mlbTeam?.trim() || '',
             notes: playerData.notes?.trim() || '',
             headshotUrl: playerData.headshotUrl?.trim() || '',
@@ -373,29 +1611,34 @@ class DraftTracker {
             addedDate: new Date().toISOString()
         };
 
-        this.players.push(player);
-        this.saveToStorage();
-        this.render();
-        // Temporarily disable auto-sync for testing
-        // this.autoSyncToSupabase();
+        this.stampFieldVersions(null, player);
         return player;
     }
 
-    updatePlayer(playerId, updates) {
+    updatePlayer(playerId, updates, { deferSave = false } = {}) {
         const playerIndex = this.players.findIndex(p => p.id === playerId);
         if (playerIndex !== -1) {
-            this.players[playerIndex] = { ...this.players[playerIndex], ...updates };
-            this.saveToStorage();
-            this.render();
-            // Temporarily disable auto-sync for testing
-            // this.autoSyncToSupabase();
+            const before = this.players[playerIndex];
+            this.players[playerIndex] = { ...before, ...updates };
+            this.stampFieldVersions(before, this.players[playerIndex]);
+            if (Object.keys(updates).some(key => before[key] !== updates[key])) {
+                this.recordEvent('edit', playerId, before, this.players[playerIndex]);
+            }
+            if (!deferSave) {
+                this.saveToStorage();
+                this.render();
+            }
+            this.queuePlayerChange(playerId);
         }
     }
 
     toggleStar(playerId) {
+        if (!this.checkWritable()) return;
         const playerIndex = this.players.findIndex(p => p.id === playerId);
         if (playerIndex !== -1) {
+            const before = { ...this.players[playerIndex] };
             this.players[playerIndex].starred = !this.players[playerIndex].starred;
+            this.recordEvent('star', playerId, before, this.players[playerIndex]);
             this.saveToStorage();
             this.render();
         }
@@ -404,600 +1647,3534 @@ class DraftTracker {
     draftPlayer(playerId, ownerData) {
         const player = this.players.find(p => p.id === playerId);
         if (player) {
+            const before = { ...player };
+            const pick = this.getCurrentPick();
             player.drafted = true;
             player.fantasyOwner = ownerData.owner.trim();
             player.draftNotes = ownerData.notes?.trim() || '';
             player.draftedDate = new Date().toISOString();
+            player.draftRound = pick ? pick.round : null;
+            player.draftPick = pick ? pick.overall : null;
+            player.onClockOwner = pick ? pick.ownerId : '';
+            this.stampFieldVersions(before, player);
+            this.recordEvent('draft', playerId, before, player);
             this.saveToStorage();
             this.render();
-            // Temporarily disable auto-sync for testing
-            // this.autoSyncToSupabase();
+            this.advanceDraftClock();
+            this.queuePlayerChange(playerId);
         }
     }
 
     undraftPlayer(playerId) {
+        if (!this.checkWritable()) return;
         const player = this.players.find(p => p.id === playerId);
-        if (player) {
+        if (player && this.checkPermission('undraft', { ownerId: player.fantasyOwner })) {
+            const before = { ...player };
             player.drafted = false;
             player.fantasyOwner = '';
             player.draftNotes = '';
             delete player.draftedDate;
+            player.draftRound = null;
+            player.draftPick = null;
+            player.onClockOwner = '';
+            this.stampFieldVersions(before, player);
+            this.recordEvent('undraft', playerId, before, player);
             this.saveToStorage();
             this.render();
-            // Temporarily disable auto-sync for testing
-            // this.autoSyncToSupabase();
+            this.queuePlayerChange(playerId);
         }
     }
 
-    async deletePlayer(playerId) {
-        // Find player before removing
-        const player = this.players.find(p => p.id === playerId);
-        if (!player) return;
+    // Soft delete - the player moves to the trash with deletedAt set, which syncs like any other edit
+    deletePlayer(playerId) {
+        this.trashPlayers([playerId]);
+    }
 
-        // Remove from local array
-        this.players = this.players.filter(p => p.id !== playerId);
-        this.saveToStorage();
-        this.render();
+    // Trash - deleted players stay restorable for a while before they're purged for good
+    getTrashRetentionDays() {
+        return 30;
+    }
 
-        // Sync deletion to Supabase for collaboration
-        if (this.supabase) {
-            try {
-                await this.supabase
-                    .from('players')
-                    .delete()
-                    .eq('id', playerId);
-                console.log('Player deleted from Supabase:', player.name);
-            } catch (error) {
-                console.error('Failed to delete from Supabase:', error);
-                // Note: Player is already removed locally, but deletion failed remotely
-                // Could add retry logic here if needed
-            }
-        }
+    findAnyPlayer(playerId) {
+        return this.players.find(p => p.id === playerId) ||
+            this.trash.find(p => p.id === playerId) ||
+            null;
     }
 
-    // View and filtering
-    getFilteredPlayers() {
-        let filtered = [...this.players];
+    // File every player by its deletedAt - merges, realtime updates and undo can flip it either way
+    reconcileTrash() {
+        const deleted = this.players.filter(p => p.deletedAt);
+        const restored = this.trash.filter(p => !p.deletedAt);
+        if (deleted.length === 0 && restored.length === 0) return;
 
-        // Apply view filter
-        switch (this.currentView) {
-            case 'available':
-                filtered = filtered.filter(p => !p.drafted);
-                break;
-            case 'drafted':
-                filtered = filtered.filter(p => p.drafted);
-                break;
-            case 'by-owner':
-                if (this.currentOwner) {
-                    filtered = filtered.filter(p => p.fantasyOwner === this.currentOwner);
-                } else {
-                    filtered = filtered.filter(p => p.drafted);
-                }
-                break;
-            case 'starred':
-                filtered = filtered.filter(p => p.starred);
-                break;
-        }
+        this.players = [...this.players.filter(p => !p.deletedAt), ...restored];
+        this.trash = [...this.trash.filter(p => p.deletedAt), ...deleted];
+    }
 
-        // Apply position filter
-        if (this.currentPositionFilter) {
-            if (this.currentPositionFilter === 'P') {
-                // Show all pitchers - check for any pitcher-related position
-                filtered = filtered.filter(p => p.position && (
-                    p.position.includes('P') ||
-                    p.position.includes('SP') ||
-                    p.position.includes('RP') ||
-                    p.position.includes('CL') ||
-                    p.position.includes('P/')
-                ));
-            } else {
-                // Use regex to find the position anywhere in the string, properly delimited
-                const positionRegex = new RegExp(`\\b${this.currentPositionFilter}\\b`, 'i');
-                filtered = filtered.filter(p => p.position && positionRegex.test(p.position));
+    // Clear All trashes everything at once, so it skips the per-player history entries
+    trashPlayers(playerIds, { recordHistory = true } = {}) {
+        const ids = new Set(playerIds);
+        const deletedAt = new Date().toISOString();
+        const trashed = this.players.filter(p => ids.has(p.id));
+        if (trashed.length === 0) return;
+
+        trashed.forEach(player => {
+            const before = { ...player };
+            player.deletedAt = deletedAt;
+            this.stampFieldVersions(before, player);
+            if (recordHistory) {
+                this.recordEvent('delete', player.id, before, player);
             }
-        }
+        });
 
-        // Apply search filter
-        if (this.searchTerm) {
-            const term = this.searchTerm.toLowerCase();
-            filtered = filtered.filter(p =>
-                p.name.toLowerCase().includes(term) ||
-                p.position.toLowerCase().includes(term) ||
-                p.mlbTeam.toLowerCase().includes(term) ||
-                p.notes.toLowerCase().includes(term) ||
-                p.fantasyOwner.toLowerCase().includes(term)
-            );
-        }
+        this.reconcileTrash();
+        this.saveToStorage();
+        this.render();
 
-        // Apply sorting
-        if (this.sortField) {
-            filtered.sort((a, b) => {
-                let aVal = a[this.sortField] || '';
-                let bVal = b[this.sortField] || '';
+        // The soft delete reaches Supabase through the outbox as an ordinary upsert
+        trashed.forEach(player => this.queuePlayerChange(player.id));
+    }
 
-                // Special handling for position sorting with logical hierarchy
-                if (this.sortField === 'position') {
-                    const positionOrder = this.getPositionHierarchy();
-                    const aPos = positionOrder.indexOf(aVal.toUpperCase());
-                    const bPos = positionOrder.indexOf(bVal.toUpperCase());
+    restoreFromTrash(playerIds) {
+        const ids = new Set(playerIds);
+        const restored = this.trash.filter(p => ids.has(p.id));
+        if (restored.length === 0) return;
 
-                    // If both positions are in the hierarchy, sort by hierarchy
-                    if (aPos !== -1 && bPos !== -1) {
-                        const diff = aPos - bPos;
-                        return this.sortDirection === 'asc' ? diff : -diff;
-                    }
+        restored.forEach(player => {
+            const before = { ...player };
+            player.deletedAt = null;
+            this.stampFieldVersions(before, player);
+            this.recordEvent('restore', player.id, before, player);
+        });
 
-                    // If one is in hierarchy and one isn't, prioritize the one in hierarchy
-                    if (aPos !== -1 && bPos === -1) return this.sortDirection === 'asc' ? -1 : 1;
-                    if (aPos === -1 && bPos !== -1) return this.sortDirection === 'asc' ? 1 : -1;
+        this.reconcileTrash();
+        this.saveToStorage();
+        this.render();
+        restored.forEach(player => this.queuePlayerChange(player.id));
+        this.setSyncStatus(`Restored ${restored.length} player${restored.length === 1 ? '' : 's'} from the trash`, 'success');
+    }
 
-                    // If neither is in hierarchy, fall back to alphabetical
-                    aVal = aVal.toLowerCase();
-                    bVal = bVal.toLowerCase();
-                } else {
-                    // Case-insensitive string comparison for other fields
-                    if (typeof aVal === 'string') aVal = aVal.toLowerCase();
-                    if (typeof bVal === 'string') bVal = bVal.toLowerCase();
-                }
+    // Purging is the only hard delete left; the outbox sends it once the player is gone locally
+    purgePlayers(playerIds) {
+        const ids = new Set(playerIds);
+        const purged = this.trash.filter(p => ids.has(p.id));
+        if (purged.length === 0) return;
 
-                if (aVal < bVal) return this.sortDirection === 'asc' ? -1 : 1;
-                if (aVal > bVal) return this.sortDirection === 'asc' ? 1 : -1;
-                return 0;
-            });
-        }
+        this.trash = this.trash.filter(p => !ids.has(p.id));
+        this.saveToStorage();
+        this.render();
+        purged.forEach(player => this.queuePlayerChange(player.id));
+        console.log('🗑️ Purged', purged.length, 'players from the trash');
+    }
 
-        return filtered;
+    getTrashDaysLeft(player) {
+        const expiresAt = new Date(player.deletedAt).getTime() + this.getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+        return Math.max(0, Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
     }
 
-    getUniqueOwners() {
-        const owners = new Set();
-        this.players.forEach(p => {
-            if (p.fantasyOwner) {
-                owners.add(p.fantasyOwner);
+    // Runs on load; only for users allowed to purge, so a co-owner's browser never fights the policies
+    purgeExpiredTrash() {
+        if (this.getPermissionError('purge-trash')) return;
+
+        const expired = this.trash.filter(player => this.getTrashDaysLeft(player) === 0);
+        if (expired.length > 0) {
+            this.purgePlayers(expired.map(p => p.id));
+        }
+    }
+
+    renderTrashView() {
+        const container = document.querySelector('.table-container');
+
+        if (this.trash.length === 0) {
+            container.innerHTML = `<div class="empty-state"><p>The trash is empty.<br>Deleted players stay here for ${this.getTrashRetentionDays()} days.</p></div>`;
+            return;
+        }
+
+        const players = [...this.trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        container.innerHTML = `
+            <div class="trash-view">
+                <div class="trash-header">
+                    <span>${players.length} deleted player${players.length === 1 ? '' : 's'} - purged automatically after ${this.getTrashRetentionDays()} days</span>
+                    <div class="actions">
+                        <button id="restoreAllTrashBtn" class="btn btn-secondary btn-sm">Restore All</button>
+                        <button id="emptyTrashBtn" class="btn btn-danger btn-sm">Empty Trash</button>
+                    </div>
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Position</th>
+                            <th>MLB Team</th>
+                            <th>Fantasy Owner</th>
+                            <th>Deleted</th>
+                            <th>Purged In</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${players.map(player => `
+                            <tr>
+                                <td><div class="player-name">${this.escapeHtml(player.name)}</div></td>
+                                <td><span class="position-badge">${this.escapeHtml(player.position || '')}</span></td>
+                                <td><div class="mlb-team">${this.escapeHtml(player.mlbTeam || '')}</div></td>
+                                <td>${player.drafted ? this.escapeHtml(this.getOwnerName(player.fantasyOwner)) : '-'}</td>
+                                <td>${new Date(player.deletedAt).toLocaleDateString()}</td>
+                                <td>${this.getTrashDaysLeft(player)} days</td>
+                                <td>
+                                    <div class="actions">
+                                        <button class="btn btn-secondary btn-sm trash-restore-btn" data-id="${player.id}">Restore</button>
+                                        <button class="btn btn-danger btn-sm trash-purge-btn" data-id="${player.id}">Delete Forever</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.querySelectorAll('.trash-restore-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                if (!this.checkWritable()) return;
+                this.restoreFromTrash([e.target.dataset.id]);
+            });
+        });
+
+        container.querySelectorAll('.trash-purge-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                if (!this.checkPermission('purge-trash')) return;
+                if (confirm('Delete this player forever? This cannot be undone.')) {
+                    this.purgePlayers([e.target.dataset.id]);
+                }
+            });
+        });
+
+        document.getElementById('restoreAllTrashBtn').addEventListener('click', () => {
+            if (!this.checkWritable()) return;
+            this.restoreFromTrash(this.trash.map(p => p.id));
+        });
+
+        document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+            if (!this.checkPermission('purge-trash')) return;
+            if (confirm(`Delete all ${this.trash.length} players in the trash forever? This cannot be undone.`)) {
+                this.purgePlayers(this.trash.map(p => p.id));
             }
         });
-        return Array.from(owners).sort();
     }
 
-    // Rendering
-    render() {
-        const filteredPlayers = this.getFilteredPlayers();
+    // Draft history - append-only action log with undo/redo
+    loadHistory() {
+        const stored = localStorage.getItem(this.getScopedKey('baseballDraftTrackerHistory'));
+        if (stored) {
+            try {
+                const data = JSON.parse(stored);
+                this.historyLog = data.events || [];
+                this.undoStack = data.undoStack || [];
+                this.redoStack = data.redoStack || [];
+            } catch (e) {
+                console.error('Error loading history:', e);
+                this.historyLog = [];
+                this.undoStack = [];
+                this.redoStack = [];
+            }
+        }
+    }
 
-        if (this.currentView === 'rankings') {
-            this.renderRankingsView();
-        } else if (this.currentView === 'by-owner') {
-            this.renderOwnerRosters();
-        } else {
-            // Ensure we have the original table structure when not in special views
-            this.ensureTableStructure();
-            this.renderTable(filteredPlayers);
+    // Events kept in this browser; the full record stays in draft_events
+    getHistoryLimit() {
+        return 500;
+    }
 
-            // Show/hide empty state only for table view
-            const tbody = document.getElementById('playersTableBody');
-            const emptyState = document.getElementById('emptyState');
-            if (tbody && emptyState) {
-                if (filteredPlayers.length === 0) {
-                    tbody.style.display = 'none';
-                    emptyState.style.display = 'block';
-                } else {
-                    tbody.style.display = '';
-                    emptyState.style.display = 'none';
-                }
+    // Drop the oldest events beyond the limit, and undo/redo steps that pointed at them
+    trimHistory(limit = this.getHistoryLimit()) {
+        if (this.historyLog.length <= limit) return;
+
+        this.historyLog = this.historyLog.slice(-limit);
+        const kept = new Set(this.historyLog.map(e => e.id));
+        this.undoStack = this.undoStack.filter(id => kept.has(id));
+        this.redoStack = this.redoStack.filter(id => kept.has(id));
+    }
+
+    saveHistory() {
+        this.trimHistory();
+        const data = {
+            events: this.historyLog,
+            undoStack: this.undoStack,
+            redoStack: this.redoStack,
+            lastUpdated: new Date().toISOString()
+        };
+
+        try {
+            localStorage.setItem(this.getScopedKey('baseballDraftTrackerHistory'), JSON.stringify(data));
+        } catch (error) {
+            // A full localStorage halves the local log until it fits, rather than failing the edit that got here
+            if (this.historyLog.length <= 1) {
+                console.error('Error saving history:', error);
+                return;
             }
+            console.warn('History storage full, keeping the newest', Math.floor(this.historyLog.length / 2), 'events');
+            this.trimHistory(Math.floor(this.historyLog.length / 2));
+            this.saveHistory();
         }
     }
 
-    renderTable(players) {
-        const tbody = document.getElementById('playersTableBody');
-        tbody.innerHTML = '';
+    // Record an undoable action. before/after are player snapshots, {listType, order} for rank moves,
+    // or {players: [...]} for imports (before holds only the players an import merged into)
+    recordEvent(type, playerId, before, after) {
+        const event = {
+            id: crypto.randomUUID(),
+            type, // 'add' | 'edit' | 'draft' | 'undraft' | 'star' | 'delete' | 'restore' | 'rank-move' | 'import'
+            playerId,
+            before: before ? { ...before } : null,
+            after: after ? { ...after } : null,
+            actor: this.getActor(),
+            createdAt: new Date().toISOString()
+        };
 
-        players.forEach(player => {
-            const row = document.createElement('tr');
-            if (player.drafted) {
-                row.classList.add('drafted');
-                // Apply team gradient background
-                const teamColors = this.getOwnerColors(player.fantasyOwner);
-                if (teamColors) {
-                    row.style.background = teamColors;
-                    row.style.color = '#ffffff';
-                }
+        this.historyLog.push(event);
+        this.undoStack.push(event.id);
+        this.redoStack = [];
+        this.saveHistory();
+        this.syncEventToSupabase(event);
+        return event;
+    }
+
+    // Undo/redo are logged too, so the log stays a complete record of what happened
+    logHistoryAction(type, targetEvent) {
+        const event = {
+            id: crypto.randomUUID(),
+            type, // 'undo' | 'redo'
+            playerId: targetEvent.playerId,
+            targetEventId: targetEvent.id,
+            before: null,
+            after: null,
+            actor: this.getActor(),
+            createdAt: new Date().toISOString()
+        };
+
+        this.historyLog.push(event);
+        this.saveHistory();
+        this.syncEventToSupabase(event);
+    }
+
+    async syncEventToSupabase(event) {
+        if (!this.supabase) return;
+
+        try {
+            const { error } = await this.supabase
+                .from('draft_events')
+                .insert({
+                    id: event.id,
+                    event_type: event.type,
+                    player_id: event.playerId || null,
+                    payload: {
+                        before: event.before,
+                        after: event.after,
+                        targetEventId: event.targetEventId || null,
+                        actor: event.actor || null
+                    },
+                    league_id: this.leagueId,
+                    created_at: event.createdAt
+                });
+
+            if (error) {
+                console.error('Error saving draft event:', error);
             }
+        } catch (error) {
+            console.error('Error saving draft event:', error);
+        }
+    }
 
-            const nameClass = this.editMode ? 'editable' : '';
-            const positionClass = this.editMode ? 'editable' : '';
-            const mlbTeamClass = this.editMode ? 'editable' : '';
-            const notesClass = this.editMode ? 'editable' : '';
-            const isExpanded = this.expandedNotes.has(player.id);
+    describeEvent(event) {
+        if (event.type === 'rank-move') {
+            return `${event.after?.listType || ''} rankings move`;
+        }
+        if (event.type === 'import') {
+            const actor = event.actor?.name ? ` by ${event.actor.name}` : '';
+            const action = event.after?.source === 'backup' ? 'restore' : 'import';
+            return `${action} of ${event.after?.players?.length || 0} players${actor}`;
+        }
+        const snapshot = event.after || event.before;
+        const actor = event.actor?.name ? ` by ${event.actor.name}` : '';
+        return `${event.type} ${snapshot?.name || 'player'}${actor}`;
+    }
 
-            row.innerHTML = `
-                <td>
-                    <div class="player-name ${nameClass}" data-field="name" data-id="${player.id}" data-player-name="${this.escapeHtml(player.name)}">
-                        <span class="star-icon ${player.starred ? 'starred' : ''}" data-id="${player.id}" title="${player.starred ? 'Unstar player' : 'Star player'}">${player.starred ? '⭐' : '☆'}</span>
-                        ${this.escapeHtml(player.name)}
-                        ${this.getExternalLinks(player)}
-                    </div>
-                </td>
-                <td>
-                    <span class="position-badge ${positionClass}" data-field="position" data-id="${player.id}">${this.escapeHtml(player.position || '')}</span>
-                </td>
-                <td>
-                    <div class="mlb-team ${mlbTeamClass}" data-field="mlbTeam" data-id="${player.id}">${this.escapeHtml(player.mlbTeam || '')}</div>
-                </td>
-                <td>
-                    ${player.drafted ?
-                        `<span class="fantasy-owner editable" data-field="fantasyOwner" data-id="${player.id}">${this.getOwnerDisplay(player.fantasyOwner)}</span>` :
-                        '<span class="draft-status available">Available</span>'
-                    }
-                </td>
-                <td>
-                    <div class="notes ${notesClass}" data-field="notes" data-id="${player.id}" title="${this.escapeHtml(player.notes || '')}" ${player.drafted ? 'style="color: white"' : ''}>
-                        ${this.escapeHtml(player.notes || '')}
-                        ${!isExpanded ? '<span class="expand-icon">▼</span>' : '<span class="expand-icon">▲</span>'}
-                    </div>
-                </td>
-                <td>
-                    <div class="actions">
-                        ${!player.drafted ?
-                            `<button class="btn btn-success btn-sm draft-btn" data-id="${player.id}">Draft</button>` :
-                            `<button class="btn btn-warning btn-sm undraft-btn" data-id="${player.id}">Undraft</button>`
-                        }
-                        <button class="btn btn-danger btn-sm delete-btn" data-id="${player.id}">Delete</button>
-                    </div>
-                </td>
-            `;
+    async undo() {
+        if (!this.checkWritable()) return;
+        const eventId = this.undoStack.pop();
+        if (!eventId) {
+            this.setSyncStatus('Nothing to undo', 'error');
+            return;
+        }
 
-            tbody.appendChild(row);
+        const event = this.historyLog.find(e => e.id === eventId);
+        if (!event) {
+            this.saveHistory();
+            return;
+        }
+
+        if (!(await this.applyHistoryState(event, event.before))) {
+            this.undoStack.push(eventId);
+            return;
+        }
+        this.redoStack.push(eventId);
+        this.logHistoryAction('undo', event);
+        this.setSyncStatus(`Undid ${this.describeEvent(event)}`, 'success');
+    }
+
+    async redo() {
+        if (!this.checkWritable()) return;
+        const eventId = this.redoStack.pop();
+        if (!eventId) {
+            this.setSyncStatus('Nothing to redo', 'error');
+            return;
+        }
+
+        const event = this.historyLog.find(e => e.id === eventId);
+        if (!event) {
+            this.saveHistory();
+            return;
+        }
+
+        if (!(await this.applyHistoryState(event, event.after))) {
+            this.redoStack.push(eventId);
+            return;
+        }
+        this.undoStack.push(eventId);
+        this.logHistoryAction('redo', event);
+        this.setSyncStatus(`Redid ${this.describeEvent(event)}`, 'success');
+    }
+
+    // Put a player (or rankings list) back to a recorded state, locally and in Supabase.
+    // Returns false when the signed-in owner isn't allowed to make that change.
+    async applyHistoryState(event, state) {
+        const permissionError = this.getHistoryPermissionError(event, state);
+        if (permissionError) {
+            alert(permissionError);
+            return false;
+        }
+
+        if (event.type === 'rank-move') {
+            await this.restoreRankingsOrder(state);
+            return true;
+        }
+
+        // An import touched many players: undo removes the ones it added and unmerges the rest
+        const playerIds = event.type === 'import' ? event.after.players.map(p => p.id) : [event.playerId];
+        playerIds.forEach(playerId => {
+            const playerState = event.type === 'import' ?
+                state.players.find(p => p.id === playerId) || null :
+                state;
+            this.restorePlayerState(playerId, playerState);
         });
 
-        this.bindRowEvents();
+        this.reconcileTrash();
+        this.saveToStorage();
+        this.render();
+        this.queuePlayerChanges(playerIds);
+        return true;
     }
 
-    renderOwnerRosters() {
-        const container = document.querySelector('.table-container');
-        const owners = this.getUniqueOwners();
+    // The player may be on the board or in the trash; reconcileTrash files it after
+    restorePlayerState(playerId, state) {
+        const index = this.players.findIndex(p => p.id === playerId);
+        const existing = index !== -1 ? this.players[index] : this.trash.find(p => p.id === playerId) || null;
+        this.trash = this.trash.filter(p => p.id !== playerId);
+        if (state) {
+            // Undo/redo is a fresh edit as far as sync is concerned
+            const restored = { ...state };
+            this.stampFieldVersions(existing, restored);
+            if (existing) {
+                restored.syncedVersions = existing.syncedVersions;
+            }
+            if (index !== -1) {
+                this.players[index] = restored;
+            } else {
+                this.players.push(restored);
+            }
+        } else if (index !== -1) {
+            this.players.splice(index, 1);
+        }
+    }
 
-        if (owners.length === 0) {
-            container.innerHTML = '<div class="empty-state"><p>No drafted players found.</p></div>';
+    // Write one player's current state (or its deletion) to Supabase. Throws so the outbox can retry.
+    async syncPlayerStateToSupabase(playerId, player) {
+        if (!this.supabase) return;
+
+        if (!player) {
+            const { error } = await this.supabase
+                .from('players')
+                .delete()
+                .eq('id', playerId);
+            if (error) throw error;
             return;
         }
 
-        let html = '';
-        owners.forEach(owner => {
-            const ownerPlayers = this.players.filter(p => p.fantasyOwner === owner);
+        await this.syncPlayersToSupabase([player]);
+    }
 
-            html += `
-                <div class="owner-roster">
-                    <div class="owner-header">
-                        ${this.escapeHtml(owner)} (${ownerPlayers.length} players)
-                    </div>
-                    <table>
-                        <thead>
-                            <tr>
-                                <th>Name</th>
-                                <th>Position</th>
-                                <th>MLB Team</th>
-                                <th>Notes</th>
-                                <th>Actions</th>
+    async deletePlayersFromSupabase(playerIds) {
+        if (!this.supabase) return;
+
+        const { error } = await this.supabase
+            .from('players')
+            .delete()
+            .in('id', playerIds);
+        if (error) throw error;
+    }
+
+    // Upsert several players' current state in one request
+    async syncPlayersToSupabase(players) {
+        if (!this.supabase) return;
+
+        const { error } = await this.supabase
+            .from('players')
+            .upsert(players.map(player => this.playerToRow(player)), { onConflict: 'id' });
+        if (error) throw error;
+
+        players.forEach(player => {
+            const localPlayer = this.findAnyPlayer(player.id);
+            if (localPlayer) {
+                localPlayer.syncedVersions = { ...(player.fieldVersions || {}) };
+            }
+        });
+        this.saveToStorage();
+    }
+
+    // Draft order management
+    getDefaultDraftSettings() {
+        return {
+            orderType: 'snake', // 'snake' | 'linear' | 'custom'
+            rounds: 25,
+            ownerOrder: [], // Owner IDs in first-round order
+            customOrder: [], // Array of rounds, each an array of owner IDs (custom only)
+            myOwnerId: '', // Our team - its queue is used for auto-picks
+            queue: [], // Player IDs queued for our team
+            pickTimeLimit: 120, // Seconds per pick
+            roundTimeLimits: {}, // Per-round overrides, e.g. {1: 180}
+            timeoutAction: 'auto-pick', // 'auto-pick' | 'skip'
+            skippedPicks: [] // Overall pick numbers skipped when the clock ran out
+        };
+    }
+
+    // Owners that can be placed in the draft order - database owners plus any legacy owner names
+    getDraftableOwners() {
+        const owners = this.owners.map(owner => ({ id: owner.id, name: owner.name }));
+        this.getUniqueOwners().forEach(ownerName => {
+            const alreadyExists = owners.some(o => o.id === ownerName || o.name === ownerName);
+            if (!alreadyExists && ownerName.trim()) {
+                owners.push({ id: ownerName, name: ownerName });
+            }
+        });
+        return owners;
+    }
+
+    getOwnerName(ownerId) {
+        if (!ownerId) return '';
+        const owner = this.owners.find(o => o.id === ownerId);
+        return owner ? owner.name : ownerId;
+    }
+
+    // The draft order is shared through the draft_settings table, so every co-owner sees the same
+    // pick on the clock and the server can hold owners to their turn. Which team is mine and its
+    // queue stay in this browser.
+    draftSettingsToRow(settings) {
+        return {
+            league_id: this.leagueId,
+            order_type: settings.orderType,
+            rounds: settings.rounds,
+            owner_order: settings.ownerOrder,
+            custom_order: settings.customOrder,
+            pick_time_limit: settings.pickTimeLimit,
+            round_time_limits: settings.roundTimeLimits,
+            timeout_action: settings.timeoutAction,
+            skipped_picks: settings.skippedPicks
+        };
+    }
+
+    rowToDraftSettings(row) {
+        return {
+            orderType: row.order_type,
+            rounds: row.rounds,
+            ownerOrder: row.owner_order || [],
+            customOrder: row.custom_order || [],
+            pickTimeLimit: row.pick_time_limit,
+            roundTimeLimits: row.round_time_limits || {},
+            timeoutAction: row.timeout_action,
+            skippedPicks: row.skipped_picks || []
+        };
+    }
+
+    async loadDraftSettings() {
+        if (!this.supabase) return;
+
+        try {
+            const { data, error } = await this.supabase
+                .from('draft_settings')
+                .select('*')
+                .eq('league_id', this.leagueId);
+
+            if (error) throw error;
+            if (data?.[0]) {
+                this.draftSettings = { ...this.draftSettings, ...this.rowToDraftSettings(data[0]) };
+                this.saveToStorage();
+            } else if (this.draftSettings.ownerOrder.length > 0 && !this.getPermissionError('draft-settings')) {
+                // A board set up before the order was shared: the first browser allowed to set it shares its copy
+                await this.saveDraftSettingsToSupabase(this.draftSettings);
+            }
+        } catch (error) {
+            console.error('Error loading draft settings:', error);
+        }
+    }
+
+    // Throws so the settings form can stay open when the save is refused
+    async saveDraftSettingsToSupabase(settings) {
+        if (!this.supabase) return;
+
+        const { error } = await this.supabase
+            .from('draft_settings')
+            .upsert({ ...this.draftSettingsToRow(settings), updated_at: new Date().toISOString() }, { onConflict: 'league_id' });
+        if (error) throw error;
+    }
+
+    // Only the skipped picks, so an owner's browser running the clock can record a skip
+    async saveSkippedPicksToSupabase() {
+        if (!this.supabase) return;
+
+        try {
+            const { error } = await this.supabase
+                .from('draft_settings')
+                .update({ skipped_picks: this.draftSettings.skippedPicks, updated_at: new Date().toISOString() })
+                .eq('league_id', this.leagueId);
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error saving skipped picks:', error);
+        }
+    }
+
+    handleRealtimeDraftSettingsChange(payload) {
+        if (payload.eventType === 'DELETE') return;
+
+        this.draftSettings = { ...this.draftSettings, ...this.rowToDraftSettings(payload.new) };
+        this.saveToStorage();
+        this.render();
+    }
+
+    // Build every pick slot for the configured draft
+    getDraftSlots() {
+        const { orderType, rounds, ownerOrder, customOrder } = this.draftSettings;
+        if (!ownerOrder || ownerOrder.length === 0) return [];
+
+        const slots = [];
+        for (let round = 1; round <= rounds; round++) {
+            let roundOrder = [...ownerOrder];
+            if (orderType === 'snake' && round % 2 === 0) {
+                roundOrder.reverse();
+            } else if (orderType === 'custom' && customOrder[round - 1]?.length) {
+                roundOrder = customOrder[round - 1];
+            }
+
+            roundOrder.forEach((ownerId, index) => {
+                slots.push({
+                    round,
+                    pickInRound: index + 1,
+                    overall: slots.length + 1,
+                    ownerId
+                });
+            });
+        }
+        return slots;
+    }
+
+    getTakenPicks() {
+        const takenPicks = new Set(this.players.filter(p => p.drafted && p.draftPick).map(p => p.draftPick));
+        this.draftSettings.skippedPicks.forEach(pick => takenPicks.add(pick));
+        return takenPicks;
+    }
+
+    // The first pick slot that hasn't been used yet
+    getCurrentPick() {
+        const takenPicks = this.getTakenPicks();
+        return this.getDraftSlots().find(slot => !takenPicks.has(slot.overall)) || null;
+    }
+
+    formatPickLabel(pick) {
+        if (!pick) return '';
+        return `Round ${pick.round}, Pick ${pick.pickInRound} (#${pick.overall})`;
+    }
+
+    // Short "round.pick" label for a drafted player, e.g. 3.07
+    getPlayerPickLabel(player) {
+        if (!player.draftRound || !player.draftPick) return '';
+        const slot = this.getDraftSlots().find(s => s.overall === player.draftPick);
+        const pickInRound = slot ? slot.pickInRound : player.draftPick;
+        return `${player.draftRound}.${String(pickInRound).padStart(2, '0')}`;
+    }
+
+    renderOnTheClock() {
+        const element = document.getElementById('onTheClock');
+        if (!element) return;
+
+        const pick = this.getCurrentPick();
+        if (!pick) {
+            element.textContent = this.draftSettings.ownerOrder.length ? 'Draft complete' : '';
+            return;
+        }
+        element.textContent = `On the clock: ${this.getOwnerName(pick.ownerId)} - ${this.formatPickLabel(pick)}`;
+    }
+
+    // Best available in the current tier of the loaded ranking list, flagged when it's nearly gone
+    renderTierStatus() {
+        const element = document.getElementById('tierStatus');
+        if (!element) return;
+
+        const tier = this.getCurrentTier();
+        if (!tier) {
+            element.innerHTML = '';
+            element.style.display = 'none';
+            return;
+        }
+
+        const runningOut = tier.available.length <= this.getTierWarningThreshold();
+        const listName = this.getRankingList(this.rankings[0]?.list_type)?.name || '';
+        element.style.display = '';
+        element.classList.toggle('warning', runningOut);
+        element.title = runningOut ? `${tier.label} is about to run out` : '';
+        element.innerHTML = `
+            <span class="tier-badge" style="background: ${tier.color}">${this.escapeHtml(tier.label)}</span>
+            <span class="tier-status-count">${runningOut ? '⚠️ ' : ''}${tier.available.length} left${listName ? ` in ${this.escapeHtml(listName)}` : ''}:</span>
+            <span class="tier-status-players">${tier.available.slice(0, 3).map(p => this.escapeHtml(p.name)).join(', ')}${tier.available.length > 3 ? '…' : ''}</span>
+        `;
+    }
+
+    // Draft clock - per-pick timer shared with co-owners over the realtime channel
+    getIdleDraftClock() {
+        return {
+            pick: null, // Overall pick number on the clock
+            endsAt: null, // Timestamp (ms) when the running clock expires
+            remainingMs: null, // Time left while paused
+            paused: true,
+            controllerId: null // Browser (presenceIdentity.id) that started/resumed the clock and handles expiry
+        };
+    }
+
+    getPickTimeLimit(round) {
+        const { pickTimeLimit, roundTimeLimits } = this.draftSettings;
+        return (roundTimeLimits[round] || pickTimeLimit) * 1000;
+    }
+
+    getClockRemainingMs() {
+        const clock = this.draftClock;
+        if (clock.pick === null) return null;
+        if (clock.paused) return clock.remainingMs;
+        return Math.max(0, clock.endsAt - Date.now());
+    }
+
+    // The clock is shared by the whole league, so only the commissioner runs it once permissions apply
+    startDraftClock() {
+        if (!this.checkWritable() || !this.checkPermission('draft-clock')) return;
+        const pick = this.getCurrentPick();
+        if (!pick) {
+            this.setSyncStatus('No pick on the clock', 'error');
+            return;
+        }
+
+        const limit = this.getPickTimeLimit(pick.round);
+        this.setDraftClock({
+            pick: pick.overall,
+            endsAt: Date.now() + limit,
+            remainingMs: limit,
+            paused: false,
+            controllerId: this.presenceIdentity.id
+        });
+    }
+
+    pauseDraftClock() {
+        if (!this.checkWritable() || !this.checkPermission('draft-clock')) return;
+        const clock = this.draftClock;
+        if (clock.pick === null || clock.paused) return;
+
+        this.setDraftClock({
+            ...clock,
+            paused: true,
+            remainingMs: this.getClockRemainingMs(),
+            endsAt: null
+        });
+    }
+
+    resumeDraftClock() {
+        if (!this.checkWritable() || !this.checkPermission('draft-clock')) return;
+        const clock = this.draftClock;
+        if (clock.pick === null || !clock.paused) return;
+
+        this.setDraftClock({
+            ...clock,
+            paused: false,
+            endsAt: Date.now() + clock.remainingMs,
+            controllerId: this.presenceIdentity.id
+        });
+    }
+
+    stopDraftClock() {
+        if (!this.checkWritable() || !this.checkPermission('draft-clock')) return;
+        this.setDraftClock(this.getIdleDraftClock());
+    }
+
+    // Move a running clock on to the next pick after a selection or skip
+    advanceDraftClock() {
+        const clock = this.draftClock;
+        if (clock.pick === null) return;
+
+        const next = this.getCurrentPick();
+        // The draft is over; any browser may wind the clock down
+        if (!next) {
+            this.setDraftClock(this.getIdleDraftClock());
+            return;
+        }
+        if (next.overall === clock.pick) return;
+
+        const limit = this.getPickTimeLimit(next.round);
+        this.setDraftClock({
+            pick: next.overall,
+            endsAt: clock.paused ? null : Date.now() + limit,
+            remainingMs: limit,
+            paused: clock.paused,
+            controllerId: this.presenceIdentity.id
+        });
+    }
+
+    setDraftClock(clock, { broadcast = true } = {}) {
+        this.draftClock = clock;
+        this.saveToStorage();
+        this.renderDraftClock();
+        if (broadcast) {
+            this.broadcastDraftClock();
+        }
+    }
+
+    broadcastDraftClock() {
+        if (!this.realtimeChannel) return;
+
+        this.realtimeChannel.send({
+            type: 'broadcast',
+            event: 'draft-clock',
+            payload: {
+                clock: this.draftClock,
+                skippedPicks: this.draftSettings.skippedPicks
+            }
+        });
+    }
+
+    handleDraftClockBroadcast(payload) {
+        if (!payload?.clock) return;
+
+        console.log('Draft clock update received:', payload.clock);
+        this.draftSettings.skippedPicks = payload.skippedPicks || [];
+        this.setDraftClock(payload.clock, { broadcast: false });
+        this.render();
+    }
+
+    startDraftClockTicker() {
+        if (this.draftClockInterval) return;
+        this.draftClockInterval = setInterval(() => this.tickDraftClock(), 1000);
+        this.renderDraftClock();
+    }
+
+    tickDraftClock() {
+        if (this.outboxRetryAt) this.renderOutboxStatus();
+
+        const clock = this.draftClock;
+        if (clock.pick === null || clock.paused) return;
+
+        this.renderDraftClock();
+
+        // Only the controlling client acts on expiry so the pick isn't made twice
+        if (this.getClockRemainingMs() === 0 && !this.handlingClockExpiry &&
+            this.isClockController() && this.claimClockExpiry(clock.pick)) {
+            this.handleDraftClockExpired();
+        }
+    }
+
+    // The controller id is per browser, so it survives a reload. When that browser isn't
+    // connected at all, the longest-connected client takes over.
+    isClockController() {
+        const { controllerId } = this.draftClock;
+        if (controllerId === this.presenceIdentity.id) return true;
+        if (this.presenceUsers.some(user => user.browserId === controllerId)) return false;
+        return (this.presenceUsers[0]?.clientId || this.clientId) === this.clientId;
+    }
+
+    // Tabs in one browser share its controller id; the first to claim a pick's expiry handles it
+    claimClockExpiry(overall) {
+        const key = this.getScopedKey('baseballDraftTrackerClockExpiry');
+        let claim = null;
+        try {
+            claim = JSON.parse(localStorage.getItem(key));
+        } catch (e) {
+            claim = null;
+        }
+        if (claim?.pick === overall && claim.clientId !== this.clientId && Date.now() - claim.at < 10000) {
+            return false;
+        }
+        localStorage.setItem(key, JSON.stringify({ pick: overall, clientId: this.clientId, at: Date.now() }));
+        return true;
+    }
+
+    async handleDraftClockExpired() {
+        this.handlingClockExpiry = true;
+
+        try {
+            const pick = this.getDraftSlots().find(slot => slot.overall === this.draftClock.pick);
+            if (!pick) {
+                this.setDraftClock(this.getIdleDraftClock());
+                return;
+            }
+
+            // The pick is made from whichever browser runs the clock, so it has to be allowed to draft
+            // for the owner on the clock; otherwise the pick is skipped rather than forced through
+            const permissionError = this.getPermissionError('draft', { ownerId: pick.ownerId });
+            if (permissionError) {
+                console.warn('Auto-pick not allowed from this browser:', permissionError);
+            } else if (this.draftSettings.timeoutAction === 'auto-pick') {
+                const candidate = await this.getAutoPickCandidate(pick.ownerId);
+                if (candidate) {
+                    this.draftPlayer(candidate.id, { owner: pick.ownerId, notes: 'Auto-pick (clock expired)' });
+                    this.setSyncStatus(`Auto-picked ${candidate.name} for ${this.getOwnerName(pick.ownerId)}`, 'success');
+                    return;
+                }
+            }
+
+            this.skipPick(pick.overall);
+        } finally {
+            this.handlingClockExpiry = false;
+        }
+    }
+
+    skipPick(overall) {
+        if (!this.draftSettings.skippedPicks.includes(overall)) {
+            this.draftSettings.skippedPicks.push(overall);
+        }
+        this.saveToStorage();
+        this.saveSkippedPicksToSupabase();
+        this.setSyncStatus(`Pick #${overall} skipped`, 'error');
+        this.render();
+        this.advanceDraftClock();
+    }
+
+    // Next player for an owner whose clock ran out: my queue first, then overall rankings.
+    // Nobody is there to confirm a roster-limit warning, so players that break a limit are passed over.
+    async getAutoPickCandidate(ownerId) {
+        const getAvailable = (playerId) => {
+            const player = this.players.find(p => p.id === playerId && !p.drafted);
+            return player && !this.getRosterViolation(ownerId, player) ? player : null;
+        };
+
+        if (ownerId && ownerId === this.draftSettings.myOwnerId) {
+            for (const playerId of this.draftSettings.queue) {
+                const player = getAvailable(playerId);
+                if (player) return player;
+            }
+        }
+
+        const rankingOrder = await this.getOverallRankingOrder();
+        for (const playerId of rankingOrder) {
+            const player = getAvailable(playerId);
+            if (player) return player;
+        }
+
+        return null;
+    }
+
+    async getOverallRankingOrder() {
+        if (this.rankings[0]?.list_type === 'overall') {
+            return this.rankings.map(r => r.player_id);
+        }
+        if (!this.supabase) return (this.localRankings.overall || []).map(r => r.player_id);
+
+        try {
+            const { data, error } = await this.supabase
+                .from('player_rankings')
+                .select('player_id, rank_index')
+                .eq('league_id', this.leagueId)
+                .eq('list_type', 'overall')
+                .order('rank_index', { ascending: true });
+
+            if (error) throw error;
+            return (data || []).map(r => r.player_id);
+        } catch (error) {
+            console.error('Error loading overall rankings:', error);
+            return [];
+        }
+    }
+
+    toggleQueue(playerId) {
+        if (!this.checkWritable()) return;
+        const queue = this.draftSettings.queue;
+        const index = queue.indexOf(playerId);
+        if (index !== -1) {
+            queue.splice(index, 1);
+        } else {
+            queue.push(playerId);
+        }
+        this.saveToStorage();
+        this.render();
+    }
+
+    renderDraftClock() {
+        const display = document.getElementById('draftClock');
+        const button = document.getElementById('draftClockBtn');
+        const stopButton = document.getElementById('draftClockStopBtn');
+        if (!display || !button) return;
+
+        const clock = this.draftClock;
+        display.className = 'draft-clock';
+        const controlsLocked = !!this.getPermissionError('draft-clock');
+        button.disabled = controlsLocked;
+        if (stopButton) stopButton.disabled = controlsLocked;
+
+        if (clock.pick === null) {
+            display.textContent = '';
+            button.textContent = 'Start Clock';
+            if (stopButton) stopButton.style.display = 'none';
+            return;
+        }
+
+        const totalSeconds = Math.ceil(this.getClockRemainingMs() / 1000);
+        display.textContent = `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+
+        if (clock.paused) {
+            display.classList.add('paused');
+        } else if (totalSeconds === 0) {
+            display.classList.add('expired');
+        } else if (totalSeconds <= 15) {
+            display.classList.add('warning');
+        }
+
+        button.textContent = clock.paused ? 'Resume Clock' : 'Pause Clock';
+        if (stopButton) stopButton.style.display = '';
+    }
+
+    showDraftSettingsModal() {
+        if (!this.checkWritable()) return;
+        const settings = this.draftSettings;
+        document.getElementById('draftOrderType').value = settings.orderType;
+        document.getElementById('draftRounds').value = settings.rounds;
+        document.getElementById('draftPickTime').value = settings.pickTimeLimit;
+        document.getElementById('draftRoundTimes').value = Object.entries(settings.roundTimeLimits)
+            .map(([round, seconds]) => `${round}:${seconds}`)
+            .join(', ');
+        document.getElementById('draftTimeoutAction').value = settings.timeoutAction;
+
+        document.getElementById('rosterSlotInputs').innerHTML = this.getRosterSlotKeys().map(slot => `
+            <label class="roster-slot-input">
+                <span>${slot}</span>
+                <input type="number" min="0" max="40" data-slot="${slot}" value="${this.rosterSettings.slots[slot] || 0}">
+            </label>
+        `).join('');
+        document.getElementById('rosterEnforcement').value = this.rosterSettings.enforcement;
+
+        // Owners already in the order come first, the rest are listed unchecked
+        const owners = this.getDraftableOwners();
+
+        const myOwnerSelect = document.getElementById('draftMyOwner');
+        myOwnerSelect.innerHTML = '<option value="">Select Owner...</option>' + owners
+            .map(owner => `<option value="${this.escapeHtml(owner.id)}">${this.escapeHtml(owner.name)}</option>`)
+            .join('');
+        myOwnerSelect.value = settings.myOwnerId;
+
+        const ordered = settings.ownerOrder
+            .map(id => owners.find(o => o.id === id) || { id, name: this.getOwnerName(id) });
+        const remaining = owners.filter(o => !settings.ownerOrder.includes(o.id));
+
+        const list = document.getElementById('draftOrderList');
+        if (ordered.length === 0 && remaining.length === 0) {
+            list.innerHTML = '<div class="empty-state"><p>No owners found.</p></div>';
+        } else {
+            list.innerHTML = [...ordered, ...remaining].map((owner, index) => `
+                <div class="draft-order-item" data-owner-id="${this.escapeHtml(owner.id)}">
+                    <span class="draft-order-number">${index + 1}</span>
+                    <input type="checkbox" class="draft-order-include" ${settings.ownerOrder.includes(owner.id) || settings.ownerOrder.length === 0 ? 'checked' : ''}>
+                    <span>${this.escapeHtml(owner.name)}</span>
+                </div>
+            `).join('');
+
+            if (this.draftOrderSortable) {
+                this.draftOrderSortable.destroy();
+            }
+            this.draftOrderSortable = new Sortable(list, {
+                animation: 150,
+                ghostClass: 'ranking-ghost',
+                onEnd: () => {
+                    list.querySelectorAll('.draft-order-number').forEach((number, index) => {
+                        number.textContent = index + 1;
+                    });
+                }
+            });
+        }
+
+        document.getElementById('customDraftOrder').value = settings.customOrder
+            .map(round => round.map(id => this.getOwnerName(id)).join(', '))
+            .join('\n');
+        document.getElementById('customOrderGroup').style.display = settings.orderType === 'custom' ? 'block' : 'none';
+
+        document.getElementById('draftSettingsModal').style.display = 'block';
+    }
+
+    async handleDraftSettings() {
+        const orderType = document.getElementById('draftOrderType').value;
+        const rounds = parseInt(document.getElementById('draftRounds').value, 10);
+
+        if (!rounds || rounds < 1) {
+            alert('Please enter a valid number of rounds');
+            return;
+        }
+
+        const pickTimeLimit = parseInt(document.getElementById('draftPickTime').value, 10);
+        if (!pickTimeLimit || pickTimeLimit < 10) {
+            alert('Pick time must be at least 10 seconds');
+            return;
+        }
+
+        // Parse "round:seconds" overrides
+        const roundTimeLimits = {};
+        const roundTimesValue = document.getElementById('draftRoundTimes').value.trim();
+        if (roundTimesValue) {
+            for (const entry of roundTimesValue.split(',')) {
+                const match = entry.trim().match(/^(\d+)\s*:\s*(\d+)$/);
+                if (!match) {
+                    alert(`Invalid round time limit: "${entry.trim()}". Use round:seconds, e.g. 1:180`);
+                    return;
+                }
+                roundTimeLimits[match[1]] = parseInt(match[2], 10);
+            }
+        }
+
+        const ownerOrder = Array.from(document.querySelectorAll('#draftOrderList .draft-order-item'))
+            .filter(item => item.querySelector('.draft-order-include').checked)
+            .map(item => item.dataset.ownerId);
+
+        if (ownerOrder.length === 0) {
+            alert('Please include at least one owner in the draft order');
+            return;
+        }
+
+        // Resolve custom order names back to owner IDs
+        let customOrder = [];
+        if (orderType === 'custom') {
+            const owners = this.getDraftableOwners();
+            const unknownNames = [];
+            customOrder = document.getElementById('customDraftOrder').value
+                .split('\n')
+                .map(line => line.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+                    const owner = owners.find(o => o.name.toLowerCase() === name.toLowerCase());
+                    if (!owner) unknownNames.push(name);
+                    return owner ? owner.id : name;
+                }));
+
+            if (unknownNames.length > 0) {
+                alert(`Unknown owners in custom order: ${unknownNames.join(', ')}`);
+                return;
+            }
+        }
+
+        const slots = {};
+        document.querySelectorAll('#rosterSlotInputs input[data-slot]').forEach(input => {
+            slots[input.dataset.slot] = Math.max(0, parseInt(input.value, 10) || 0);
+        });
+        this.rosterSettings = {
+            slots,
+            enforcement: document.getElementById('rosterEnforcement').value
+        };
+
+        const draftSettings = {
+            ...this.draftSettings,
+            orderType,
+            rounds,
+            ownerOrder,
+            customOrder,
+            myOwnerId: document.getElementById('draftMyOwner').value,
+            pickTimeLimit,
+            roundTimeLimits,
+            timeoutAction: document.getElementById('draftTimeoutAction').value
+        };
+
+        // My team is this browser's own choice; the order and times are the league's
+        if (JSON.stringify(this.draftSettingsToRow(draftSettings)) !== JSON.stringify(this.draftSettingsToRow(this.draftSettings))) {
+            if (!this.checkPermission('draft-settings')) return;
+            try {
+                await this.saveDraftSettingsToSupabase(draftSettings);
+            } catch (error) {
+                console.error('Error saving draft settings:', error);
+                alert(`Could not save the draft order: ${error.message}`);
+                return;
+            }
+        }
+
+        this.draftSettings = draftSettings;
+        this.saveToStorage();
+        this.closeAllModals();
+        this.render();
+    }
+
+    // Roster construction rules
+    getDefaultRosterSettings() {
+        return {
+            slots: {
+                'C': 1,
+                '1B': 1,
+                '2B': 1,
+                '3B': 1,
+                'SS': 1,
+                'OF': 3,
+                'UTIL': 1,
+                'P': 7,
+                'BN': 5,
+                'MIN': 10
+            },
+            enforcement: 'warn' // 'warn' | 'block' | 'off'
+        };
+    }
+
+    getRosterSlotKeys() {
+        return Object.keys(this.getDefaultRosterSettings().slots);
+    }
+
+    // Slots a player can fill, using the same position matching as the position filter
+    getEligibleSlots(player) {
+        const isPitcher = this.playerMatchesPosition(player, 'P');
+        return this.getRosterSlotKeys().filter(slot => {
+            if (slot === 'BN' || slot === 'MIN') return true;
+            if (slot === 'UTIL') return !isPitcher || this.playerMatchesPosition(player, 'UTIL');
+            return this.playerMatchesPosition(player, slot);
+        });
+    }
+
+    // Place an owner's players into roster slots. Multi-position players are moved around
+    // (augmenting paths) so e.g. a 2B/SS can slide over to open 2B for a pure second baseman.
+    // Players are tried in draft order; anyone left over has no legal slot.
+    assignRosterSlots(players) {
+        const { slots } = this.rosterSettings;
+        const seats = [];
+        this.getRosterSlotKeys().forEach(slot => {
+            for (let i = 0; i < (slots[slot] || 0); i++) {
+                seats.push({ slot, playerIndex: -1 });
+            }
+        });
+
+        const eligible = players.map(player => new Set(this.getEligibleSlots(player)));
+
+        const place = (playerIndex, visited) => {
+            for (let s = 0; s < seats.length; s++) {
+                if (visited.has(s) || !eligible[playerIndex].has(seats[s].slot)) continue;
+                visited.add(s);
+                if (seats[s].playerIndex === -1 || place(seats[s].playerIndex, visited)) {
+                    seats[s].playerIndex = playerIndex;
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        const unplaced = [];
+        players.forEach((player, index) => {
+            if (!place(index, new Set())) {
+                unplaced.push(player);
+            }
+        });
+
+        return {
+            seats: seats.map(seat => ({ slot: seat.slot, player: seat.playerIndex === -1 ? null : players[seat.playerIndex] })),
+            unplaced
+        };
+    }
+
+    getOwnerRosterPlayers(ownerId) {
+        return this.players
+            .filter(p => p.drafted && p.fantasyOwner === ownerId)
+            .sort((a, b) => (a.draftPick || Infinity) - (b.draftPick || Infinity));
+    }
+
+    // Returns a message if adding the player would break the owner's roster rules, otherwise null
+    getRosterViolation(ownerId, player) {
+        if (!ownerId || !player || this.rosterSettings.enforcement === 'off') return null;
+
+        const roster = this.getOwnerRosterPlayers(ownerId).filter(p => p.id !== player.id);
+        const { unplaced } = this.assignRosterSlots([...roster, player]);
+        if (!unplaced.some(p => p.id === player.id)) return null;
+
+        const eligibleSlots = this.getEligibleSlots(player).filter(slot => this.rosterSettings.slots[slot] > 0);
+        return `${this.getOwnerName(ownerId)} has no open roster slot for ${player.name} (${player.position || 'no position'}). ` +
+            `Eligible slots are full: ${eligibleSlots.join(', ') || 'none'}.`;
+    }
+
+    // Filled/total counts for each slot type
+    getRosterSlotSummary(ownerId) {
+        const { seats } = this.assignRosterSlots(this.getOwnerRosterPlayers(ownerId));
+        return this.getRosterSlotKeys()
+            .filter(slot => this.rosterSettings.slots[slot] > 0)
+            .map(slot => {
+                const slotSeats = seats.filter(seat => seat.slot === slot);
+                return {
+                    slot,
+                    filled: slotSeats.filter(seat => seat.player).length,
+                    total: slotSeats.length
+                };
+            });
+    }
+
+    updateDraftRosterWarning() {
+        const warning = document.getElementById('draftRosterWarning');
+        if (!warning) return;
+
+        const playerId = document.getElementById('draftPlayerForm').dataset.playerId;
+        const player = this.players.find(p => p.id === playerId);
+        const violation = this.getRosterViolation(document.getElementById('fantasyOwner').value, player);
+
+        warning.textContent = violation || '';
+        warning.style.display = violation ? 'block' : 'none';
+    }
+
+    // Position eligibility - each player has a list of eligible positions and a primary position.
+    // `position` is kept as the display string ("SS/2B", primary first) for search and Supabase.
+    getPositionList() {
+        return ['C', '1B', '2B', '3B', 'SS', 'OF', 'DH', 'UTIL', 'SP', 'RP', 'CL', 'P'];
+    }
+
+    getPitcherPositions() {
+        return ['SP', 'RP', 'CL', 'P'];
+    }
+
+    // Parse a free-text position string like "2B/SS", "lf, cf" or "SP-RP"
+    parsePositions(positionText) {
+        const aliases = { 'LF': 'OF', 'CF': 'OF', 'RF': 'OF', 'RHP': 'SP', 'LHP': 'SP', 'CP': 'CL' };
+        const validPositions = this.getPositionList();
+        const positions = [];
+        const unknown = [];
+
+        (positionText || '').split(/[\/,\s\-]+/).forEach(token => {
+            const upper = token.trim().toUpperCase();
+            if (!upper) return;
+            const position = aliases[upper] || upper;
+            if (!validPositions.includes(position)) {
+                unknown.push(token.trim());
+            } else if (!positions.includes(position)) {
+                positions.push(position);
+            }
+        });
+
+        return { positions, primaryPosition: positions[0] || '', unknown };
+    }
+
+    formatPositions(positions, primaryPosition) {
+        if (!positions || positions.length === 0) return '';
+        const primary = positions.includes(primaryPosition) ? primaryPosition : positions[0];
+        return [primary, ...positions.filter(p => p !== primary)].join('/');
+    }
+
+    // Validate a positions/primary pair; returns an error message or null
+    validatePositions(positions, primaryPosition) {
+        const validPositions = this.getPositionList();
+        const invalid = positions.filter(p => !validPositions.includes(p));
+        if (invalid.length > 0) return `Unknown position: ${invalid.join(', ')}`;
+        if (positions.length > 0 && !positions.includes(primaryPosition)) return 'Primary position must be one of the eligible positions';
+        return null;
+    }
+
+    // Fill in structured positions for a player that only has the old free-text string
+    normalizePlayerPositions(player) {
+        if (Array.isArray(player.positions)) {
+            player.primaryPosition = player.positions.includes(player.primaryPosition) ? player.primaryPosition : (player.positions[0] || '');
+        } else {
+            const parsed = this.parsePositions(player.position);
+            player.positions = parsed.positions;
+            player.primaryPosition = parsed.primaryPosition;
+            // Keep the original text when it has positions we don't know ("IF", "TWP"...)
+            if (parsed.unknown.length > 0) {
+                console.warn('⚠️ Unrecognized positions for player:', player.name, parsed.unknown);
+                return player;
+            }
+        }
+        player.position = this.formatPositions(player.positions, player.primaryPosition);
+        return player;
+    }
+
+    // Migrate stored players from free-text positions to the structured list
+    migratePlayerPositions() {
+        let migrated = 0;
+        this.players.forEach(player => {
+            if (!Array.isArray(player.positions)) {
+                this.normalizePlayerPositions(player);
+                migrated++;
+            }
+        });
+
+        if (migrated > 0) {
+            this.saveToStorage();
+            console.log('💾 Migrated positions for', migrated, 'players');
+        }
+    }
+
+    // Structured positions from a Supabase row, falling back to parsing the old string
+    getRowPositions(row) {
+        if (Array.isArray(row.positions) && row.positions.length > 0) {
+            const primaryPosition = row.positions.includes(row.primary_position) ? row.primary_position : row.positions[0];
+            return {
+                positions: row.positions,
+                primaryPosition,
+                position: this.formatPositions(row.positions, primaryPosition)
+            };
+        }
+        return this.getTextPositions(row.position);
+    }
+
+    // Parse a free-text position; text with unknown positions is kept as typed
+    getTextPositions(positionText) {
+        const { positions, primaryPosition, unknown } = this.parsePositions(positionText);
+        return {
+            positions,
+            primaryPosition,
+            position: unknown.length > 0 ? positionText.trim() : this.formatPositions(positions, primaryPosition)
+        };
+    }
+
+    getPlayerPositions(player) {
+        return Array.isArray(player.positions) ? player.positions : this.parsePositions(player.position).positions;
+    }
+
+    isPitcher(player) {
+        return this.getPlayerPositions(player).some(p => this.getPitcherPositions().includes(p));
+    }
+
+    // Two-way players count as both hitters and pitchers; players with no position count as hitters
+    isHitter(player) {
+        const positions = this.getPlayerPositions(player);
+        return positions.length === 0 || positions.some(p => !this.getPitcherPositions().includes(p));
+    }
+
+    // Checkbox picker for eligible positions with a primary position select
+    renderPositionPicker(container, positions = [], primaryPosition = '') {
+        container.innerHTML = `
+            <div class="position-picker-options">
+                ${this.getPositionList().map(position => `
+                    <label class="position-option">
+                        <input type="checkbox" value="${position}"${positions.includes(position) ? ' checked' : ''}>
+                        <span>${position}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="position-picker-primary">
+                <label>Primary:</label>
+                <select class="position-primary-select"></select>
+            </div>
+        `;
+
+        const primarySelect = container.querySelector('.position-primary-select');
+        const updatePrimaryOptions = () => {
+            const checked = this.readPositionPicker(container).positions;
+            const current = primarySelect.value || primaryPosition;
+            primarySelect.innerHTML = checked.length === 0 ?
+                '<option value="">None</option>' :
+                checked.map(position => `<option value="${position}">${position}</option>`).join('');
+            primarySelect.value = checked.includes(current) ? current : (checked[0] || '');
+        };
+
+        container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', updatePrimaryOptions);
+        });
+        updatePrimaryOptions();
+    }
+
+    readPositionPicker(container) {
+        const positions = Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+        const primarySelect = container.querySelector('.position-primary-select');
+        return { positions, primaryPosition: primarySelect?.value || positions[0] || '' };
+    }
+
+    // View and filtering
+    // Position matching shared by the position filter and roster rules - checks the
+    // player's eligible positions; 'P' matches any pitcher.
+    playerMatchesPosition(player, position) {
+        if (position === 'P') return this.isPitcher(player);
+        return this.getPlayerPositions(player).includes(position.toUpperCase());
+    }
+
+    getFilteredPlayers() {
+        let filtered = [...this.players];
+
+        // Apply view filter
+        switch (this.currentView) {
+            case 'available':
+                filtered = filtered.filter(p => !p.drafted);
+                break;
+            case 'drafted':
+                filtered = filtered.filter(p => p.drafted);
+                break;
+            case 'by-owner':
+                if (this.currentOwner) {
+                    filtered = filtered.filter(p => p.fantasyOwner === this.currentOwner);
+                } else {
+                    filtered = filtered.filter(p => p.drafted);
+                }
+                break;
+            case 'starred':
+                filtered = filtered.filter(p => p.starred);
+                break;
+            case 'current-tier':
+                // Already in ranking order, which is the order shown unless a column is sorted
+                filtered = this.getCurrentTier()?.available || [];
+                break;
+        }
+
+        // Apply position filter
+        if (this.currentPositionFilter) {
+            filtered = filtered.filter(p => this.playerMatchesPosition(p, this.currentPositionFilter));
+        }
+
+        // Apply search filter
+        if (this.searchTerm) {
+            const term = this.searchTerm.toLowerCase();
+            filtered = filtered.filter(p =>
+                p.name.toLowerCase().includes(term) ||
+                p.position.toLowerCase().includes(term) ||
+                p.mlbTeam.toLowerCase().includes(term) ||
+                p.notes.toLowerCase().includes(term) ||
+                p.fantasyOwner.toLowerCase().includes(term)
+            );
+        }
+
+        // Apply sorting
+        if (this.sortField) {
+            filtered.sort((a, b) => {
+                let aVal = a[this.sortField] || '';
+                let bVal = b[this.sortField] || '';
+
+                // Special handling for position sorting with logical hierarchy, by primary position
+                if (this.sortField === 'position') {
+                    aVal = a.primaryPosition || '';
+                    bVal = b.primaryPosition || '';
+                    const positionOrder = this.getPositionHierarchy();
+                    const aPos = positionOrder.indexOf(aVal.toUpperCase());
+                    const bPos = positionOrder.indexOf(bVal.toUpperCase());
+
+                    // If both positions are in the hierarchy, sort by hierarchy
+                    if (aPos !== -1 && bPos !== -1) {
+                        const diff = aPos - bPos;
+                        return this.sortDirection === 'asc' ? diff : -diff;
+                    }
+
+                    // If one is in hierarchy and one isn't, prioritize the one in hierarchy
+                    if (aPos !== -1 && bPos === -1) return this.sortDirection === 'asc' ? -1 : 1;
+                    if (aPos === -1 && bPos !== -1) return this.sortDirection === 'asc' ? 1 : -1;
+
+                    // If neither is in hierarchy, fall back to alphabetical
+                    aVal = aVal.toLowerCase();
+                    bVal = bVal.toLowerCase();
+                } else {
+                    // Case-insensitive string comparison for other fields
+                    if (typeof aVal === 'string') aVal = aVal.toLowerCase();
+                    if (typeof bVal === 'string') bVal = bVal.toLowerCase();
+                }
+
+                if (aVal < bVal) return this.sortDirection === 'asc' ? -1 : 1;
+                if (aVal > bVal) return this.sortDirection === 'asc' ? 1 : -1;
+                return 0;
+            });
+        }
+
+        return filtered;
+    }
+
+    getUniqueOwners() {
+        const owners = new Set();
+        this.players.forEach(p => {
+            if (p.fantasyOwner) {
+                owners.add(p.fantasyOwner);
+            }
+        });
+        return Array.from(owners).sort();
+    }
+
+    // Rendering
+    render() {
+        const filteredPlayers = this.getFilteredPlayers();
+        this.renderOnTheClock();
+        this.renderTierStatus();
+        this.trackPresence();
+
+        if (this.currentView === 'rankings') {
+            this.renderRankingsView();
+        } else if (this.currentView === 'by-owner') {
+            this.renderOwnerRosters();
+        } else if (this.currentView === 'draft-board') {
+            this.renderDraftBoard();
+        } else if (this.currentView === 'trash') {
+            this.renderTrashView();
+        } else if (this.currentView === 'compare-rankings') {
+            this.renderRankingComparison();
+        } else if (this.currentView === 'mock-draft') {
+            // The mock draft re-renders itself; a full render would reset it mid-pick
+            if (!document.querySelector('.mock-draft')) {
+                this.renderMockDraftView();
+            }
+        } else {
+            // Ensure we have the original table structure when not in special views
+            this.ensureTableStructure();
+            this.renderTable(filteredPlayers);
+
+            // Show/hide empty state only for table view
+            const tbody = document.getElementById('playersTableBody');
+            const emptyState = document.getElementById('emptyState');
+            if (tbody && emptyState) {
+                if (filteredPlayers.length === 0) {
+                    tbody.style.display = 'none';
+                    emptyState.style.display = 'block';
+                } else {
+                    tbody.style.display = '';
+                    emptyState.style.display = 'none';
+                }
+            }
+        }
+
+        this.applyPresenceMarkers();
+    }
+
+    renderTable(players) {
+        const tbody = document.getElementById('playersTableBody');
+        tbody.innerHTML = '';
+        const playerTiers = this.getPlayerTiers();
+
+        players.forEach(player => {
+            const row = document.createElement('tr');
+            if (player.drafted) {
+                row.classList.add('drafted');
+                // Apply team gradient background
+                const teamColors = this.getOwnerColors(player.fantasyOwner);
+                if (teamColors) {
+                    row.style.background = teamColors;
+                    row.style.color = '#ffffff';
+                }
+            }
+
+            const nameClass = this.editMode ? 'editable' : '';
+            const positionClass = this.editMode ? 'editable' : '';
+            const mlbTeamClass = this.editMode ? 'editable' : '';
+            const notesClass = this.editMode ? 'editable' : '';
+            const isExpanded = this.expandedNotes.has(player.id);
+            const tier = playerTiers.get(player.id);
+
+            row.innerHTML = `
+                <td class="tier-cell" ${tier ? `style="border-left-color: ${tier.color}"` : ''}>
+                    ${tier ? `<span class="tier-badge" style="background: ${tier.color}" title="${this.escapeHtml(tier.label)}">${this.escapeHtml(tier.label)}</span>` : ''}
+                </td>
+                <td>
+                    <div class="player-name ${nameClass}" data-field="name" data-id="${player.id}" data-player-name="${this.escapeHtml(player.name)}">
+                        <span class="star-icon ${player.starred ? 'starred' : ''}" data-id="${player.id}" title="${player.starred ? 'Unstar player' : 'Star player'}">${player.starred ? '⭐' : '☆'}</span>
+                        ${this.escapeHtml(player.name)}
+                        ${this.getExternalLinks(player)}
+                    </div>
+                </td>
+                <td>
+                    <span class="position-badge ${positionClass}" data-field="position" data-id="${player.id}">${this.escapeHtml(player.position || '')}</span>
+                </td>
+                <td>
+                    <div class="mlb-team ${mlbTeamClass}" data-field="mlbTeam" data-id="${player.id}">${this.escapeHtml(player.mlbTeam || '')}</div>
+                </td>
+                <td>
+                    ${player.drafted ?
+                        `<span class="fantasy-owner editable" data-field="fantasyOwner" data-id="${player.id}">${this.getOwnerDisplay(player.fantasyOwner)}</span>${this.getPlayerPickLabel(player) ? `<span class="pick-number" title="Round ${player.draftRound}, overall #${player.draftPick}">${this.getPlayerPickLabel(player)}</span>` : ''}` :
+                        '<span class="draft-status available">Available</span>'
+                    }
+                </td>
+                <td>
+                    <div class="notes ${notesClass}" data-field="notes" data-id="${player.id}" title="${this.escapeHtml(player.notes || '')}" ${player.drafted ? 'style="color: white"' : ''}>
+                        ${this.escapeHtml(player.notes || '')}
+                        ${!isExpanded ? '<span class="expand-icon">▼</span>' : '<span class="expand-icon">▲</span>'}
+                    </div>
+                </td>
+                <td>
+                    <div class="actions">
+                        ${!player.drafted ?
+                            `<button class="btn btn-success btn-sm draft-btn" data-id="${player.id}">Draft</button>` :
+                            `<button class="btn btn-warning btn-sm undraft-btn" data-id="${player.id}">Undraft</button>`
+                        }
+                        ${!player.drafted && this.draftSettings.myOwnerId ?
+                            `<button class="btn btn-secondary btn-sm queue-btn" data-id="${player.id}">${this.draftSettings.queue.includes(player.id) ? 'Queued' : 'Queue'}</button>` :
+                            ''
+                        }
+                        <button class="btn btn-danger btn-sm delete-btn" data-id="${player.id}">Delete</button>
+                    </div>
+                </td>
+            `;
+
+            tbody.appendChild(row);
+        });
+
+        this.bindRowEvents();
+    }
+
+    renderOwnerRosters() {
+        const container = document.querySelector('.table-container');
+        const owners = this.getUniqueOwners();
+
+        if (owners.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No drafted players found.</p></div>';
+            return;
+        }
+
+        let html = '';
+        owners.forEach(owner => {
+            const ownerPlayers = this.players
+                .filter(p => p.fantasyOwner === owner)
+                .sort((a, b) => (a.draftPick || Infinity) - (b.draftPick || Infinity));
+            const slotSummary = this.getRosterSlotSummary(owner);
+            const { unplaced } = this.assignRosterSlots(this.getOwnerRosterPlayers(owner));
+
+            html += `
+                <div class="owner-roster">
+                    <div class="owner-header">
+                        ${this.escapeHtml(this.getOwnerName(owner))} (${ownerPlayers.length} players)
+                    </div>
+                    <div class="roster-slots">
+                        ${slotSummary.map(({ slot, filled, total }) => `
+                            <span class="roster-slot ${filled < total ? 'open' : 'full'}" title="${total - filled} open">${slot} ${filled}/${total}</span>
+                        `).join('')}
+                        ${unplaced.length > 0 ? `<span class="roster-slot over" title="${this.escapeHtml(unplaced.map(p => p.name).join(', '))}">Over limit: ${unplaced.length}</span>` : ''}
+                    </div>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Pick</th>
+                                <th>Name</th>
+                                <th>Position</th>
+                                <th>MLB Team</th>
+                                <th>Notes</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+            `;
+
+            ownerPlayers.forEach(player => {
+                html += `
+                    <tr>
+                        <td>${this.getPlayerPickLabel(player) || '-'}</td>
+                        <td><div class="player-name">${this.escapeHtml(player.name)}</div></td>
+                        <td><span class="position-badge">${this.escapeHtml(player.position || '')}</span></td>
+                        <td><div class="mlb-team">${this.escapeHtml(player.mlbTeam || '')}</div></td>
+                        <td><div class="notes" title="${this.escapeHtml(player.notes || '')}">${this.escapeHtml(player.notes || '')}</div></td>
+                        <td>
+                            <div class="actions">
+                                <button class="btn btn-warning btn-sm undraft-btn" data-id="${player.id}">Undraft</button>
+                            </div>
+                        </td>
+                    </tr>
+                `;
+            });
+
+            html += `
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        });
+
+        container.innerHTML = html;
+        this.bindRowEvents();
+    }
+
+    renderDraftBoard() {
+        const container = document.querySelector('.table-container');
+        const slots = this.getDraftSlots();
+
+        if (slots.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No draft order configured.<br>Open "Draft Settings" to set the owners and rounds.</p></div>';
+            return;
+        }
+
+        // Columns follow the first-round order, then any other known owners
+        const columnIds = [...this.draftSettings.ownerOrder];
+        this.owners.forEach(owner => {
+            if (!columnIds.includes(owner.id)) columnIds.push(owner.id);
+        });
+
+        const playersByPick = new Map();
+        this.players.forEach(player => {
+            if (player.drafted && player.draftPick) {
+                playersByPick.set(player.draftPick, player);
+            }
+        });
+
+        const currentPick = this.getCurrentPick();
+
+        let html = `
+            <table class="draft-board">
+                <thead>
+                    <tr>
+                        <th class="draft-board-round">Rd</th>
+                        ${columnIds.map(id => `<th>${this.escapeHtml(this.getOwnerName(id))}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        for (let round = 1; round <= this.draftSettings.rounds; round++) {
+            const roundSlots = slots.filter(slot => slot.round === round);
+            html += `<tr><td class="draft-board-round">${round}</td>`;
+
+            columnIds.forEach(ownerId => {
+                const ownerSlots = roundSlots.filter(slot => slot.ownerId === ownerId);
+                if (ownerSlots.length === 0) {
+                    html += '<td class="draft-board-cell no-pick"></td>';
+                    return;
+                }
+
+                html += '<td class="draft-board-cell">';
+                ownerSlots.forEach(slot => {
+                    const player = playersByPick.get(slot.overall);
+                    const pickLabel = `${slot.round}.${String(slot.pickInRound).padStart(2, '0')}`;
+
+                    if (player) {
+                        const teamColors = this.getOwnerColors(player.fantasyOwner);
+                        html += `
+                            <div class="draft-board-pick filled" ${teamColors ? `style="background: ${teamColors}; color: #ffffff;"` : ''}>
+                                <span class="draft-board-pick-number">${pickLabel}</span>
+                                <div class="draft-board-player">${this.escapeHtml(player.name)}</div>
+                                <span class="position-badge">${this.escapeHtml(player.position || '')}</span>
+                            </div>
+                        `;
+                    } else {
+                        const isCurrent = currentPick && currentPick.overall === slot.overall;
+                        html += `
+                            <div class="draft-board-pick empty${isCurrent ? ' current' : ''}">
+                                <span class="draft-board-pick-number">${pickLabel}</span>
+                                <div class="draft-board-upcoming">#${slot.overall}${isCurrent ? ' - On the clock' : ''}</div>
+                            </div>
+                        `;
+                    }
+                });
+                html += '</td>';
+            });
+
+            html += '</tr>';
+        }
+
+        html += `
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    // Mock draft simulator - works on a scratch copy only, never saves to storage or Supabase
+    async startMockDraft(myOwnerId, randomness) {
+        const takenPicks = this.getTakenPicks();
+        const slots = this.getDraftSlots().filter(slot => !takenPicks.has(slot.overall));
+
+        if (slots.length === 0) {
+            alert('No picks left to simulate. Check the draft order in Draft Settings.');
+            return;
+        }
+
+        const container = document.querySelector('.table-container');
+        container.innerHTML = '<div class="empty-state"><p>Loading rankings for mock draft...</p></div>';
+
+        const rankings = {};
+        for (const listType of ['overall', 'hitter', 'pitcher']) {
+            rankings[listType] = await this.getRankingOrder(listType);
+        }
+
+        this.mockDraft = {
+            players: this.players.map(player => ({ ...player })),
+            rankings,
+            slots,
+            picks: [], // {slot, playerId}
+            myOwnerId,
+            randomness,
+            poolListType: 'overall'
+        };
+
+        this.runMockDraft();
+    }
+
+    // Read-only copy of a rankings list as player IDs
+    async getRankingOrder(listType) {
+        if (listType.startsWith('snapshot:')) {
+            return this.rankingSnapshots.find(s => `snapshot:${s.id}` === listType)?.player_ids || [];
+        }
+        if (this.rankings[0]?.list_type === listType) {
+            return this.rankings.map(r => r.player_id);
+        }
+        if (!this.supabase) return (this.localRankings[listType] || []).map(r => r.player_id);
+
+        try {
+            const { data, error } = await this.supabase
+                .from('player_rankings')
+                .select('player_id, rank_index')
+                .eq('league_id', this.leagueId)
+                .eq('list_type', listType)
+                .order('rank_index', { ascending: true });
+
+            if (error) throw error;
+            return (data || []).map(r => r.player_id);
+        } catch (error) {
+            console.error('Error loading ranking order:', error);
+            return [];
+        }
+    }
+
+    // Every render() redraws the comparison, so a list that has to come from Supabase is fetched
+    // once and kept until the selection or a ranking changes. The loaded list and snapshots are
+    // already in memory and always read fresh.
+    getComparisonOrder(listType) {
+        const loadedListType = this.rankings[0]?.list_type || this.rankingsView;
+        if (!this.supabase || listType.startsWith('snapshot:') || listType === loadedListType) {
+            return this.getRankingOrder(listType);
+        }
+        const orders = this.rankingComparison.orders;
+        if (!orders[listType]) {
+            orders[listType] = this.getRankingOrder(listType);
+        }
+        return orders[listType];
+    }
+
+    getMockCurrentSlot() {
+        const mock = this.mockDraft;
+        return mock.slots[mock.picks.length] || null;
+    }
+
+    // Available scratch players in the order of a rankings list, unranked players last
+    getMockPool(listType = 'overall') {
+        const mock = this.mockDraft;
+        const draftedIds = new Set(mock.picks.map(pick => pick.playerId));
+        const available = mock.players.filter(p => !p.drafted && !draftedIds.has(p.id));
+
+        const order = mock.rankings[listType] || [];
+        const rankOf = new Map(order.map((playerId, index) => [playerId, index]));
+
+        let pool = available;
+        if (listType !== 'overall' && order.length > 0) {
+            pool = available.filter(p => rankOf.has(p.id));
+        }
+
+        return pool.sort((a, b) => {
+            const aRank = rankOf.has(a.id) ? rankOf.get(a.id) : Infinity;
+            const bRank = rankOf.has(b.id) ? rankOf.get(b.id) : Infinity;
+            if (aRank !== bRank) return aRank - bRank;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    // Rough position bucket for positional need - all pitchers count together
+    getMockPositionKey(player) {
+        const primary = player?.primaryPosition || '';
+        if (this.getPitcherPositions().includes(primary)) return 'P';
+        return primary || 'UTIL';
+    }
+
+    // Pick for a simulated owner: weighted random among the top of the overall rankings,
+    // favoring positions the owner hasn't filled yet
+    chooseMockPick(ownerId) {
+        const mock = this.mockDraft;
+        const candidateCounts = { low: 3, medium: 5, high: 8 };
+        const candidates = this.getMockPool('overall').slice(0, candidateCounts[mock.randomness] || 5);
+        if (candidates.length === 0) return null;
+
+        const positionCounts = {};
+        mock.picks
+            .filter(pick => pick.slot.ownerId === ownerId)
+            .forEach(pick => {
+                const player = mock.players.find(p => p.id === pick.playerId);
+                const key = this.getMockPositionKey(player);
+                positionCounts[key] = (positionCounts[key] || 0) + 1;
+            });
+
+        const weights = candidates.map((player, index) => {
+            const rankWeight = candidates.length - index;
+            const filled = positionCounts[this.getMockPositionKey(player)] || 0;
+            return rankWeight / (1 + filled);
+        });
+
+        let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < candidates.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    // Auto-pick for the other owners until it's our turn or the draft is over
+    runMockDraft() {
+        const mock = this.mockDraft;
+        let slot = this.getMockCurrentSlot();
+
+        while (slot && slot.ownerId !== mock.myOwnerId) {
+            const player = this.chooseMockPick(slot.ownerId);
+            if (!player) break;
+            mock.picks.push({ slot, playerId: player.id });
+            slot = this.getMockCurrentSlot();
+        }
+
+        this.renderMockDraftView();
+    }
+
+    makeMockPick(playerId) {
+        const slot = this.getMockCurrentSlot();
+        if (!slot) return;
+
+        this.mockDraft.picks.push({ slot, playerId });
+        this.runMockDraft();
+    }
+
+    exitMockDraft() {
+        this.mockDraft = null;
+        this.renderMockDraftView();
+    }
+
+    renderMockDraftView() {
+        const container = document.querySelector('.table-container');
+
+        if (!this.mockDraft) {
+            const owners = this.getDraftableOwners();
+            container.innerHTML = `
+                <div class="mock-draft">
+                    <div class="rankings-controls">
+                        <div class="rankings-header">
+                            <h2>Mock Draft</h2>
+                        </div>
+                        <p class="mock-draft-note">Practice the remaining picks of the configured draft. Other owners auto-pick from the overall rankings. Nothing here is saved.</p>
+                        <div class="rankings-filters">
+                            <div class="filter-group">
+                                <label for="mockMyOwner">My Team:</label>
+                                <select id="mockMyOwner">
+                                    ${owners.map(owner => `<option value="${this.escapeHtml(owner.id)}"${owner.id === this.draftSettings.myOwnerId ? ' selected' : ''}>${this.escapeHtml(owner.name)}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="filter-group">
+                                <label for="mockRandomness">Randomness:</label>
+                                <select id="mockRandomness">
+                                    <option value="low">Low</option>
+                                    <option value="medium" selected>Medium</option>
+                                    <option value="high">High</option>
+                                </select>
+                            </div>
+                            <button id="startMockDraftBtn" class="btn btn-primary">Start Mock Draft</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('startMockDraftBtn').addEventListener('click', () => {
+                const myOwnerId = document.getElementById('mockMyOwner').value;
+                if (!myOwnerId) {
+                    alert('Please select your team');
+                    return;
+                }
+                this.startMockDraft(myOwnerId, document.getElementById('mockRandomness').value);
+            });
+            return;
+        }
+
+        const mock = this.mockDraft;
+        const slot = this.getMockCurrentSlot();
+        let html = `
+            <div class="mock-draft">
+                <div class="rankings-controls">
+                    <div class="rankings-header">
+                        <h2>Mock Draft</h2>
+                        <div class="rankings-actions">
+                            <button id="restartMockDraftBtn" class="btn btn-secondary">New Mock</button>
+                            <button id="exitMockDraftBtn" class="btn btn-danger">Exit Mock Draft</button>
+                        </div>
+                    </div>
+                    <p class="mock-draft-note">${slot ?
+                        `Your pick: ${this.formatPickLabel(slot)}` :
+                        `Mock draft complete - ${mock.picks.length} picks simulated`}</p>
+                </div>
+        `;
+
+        if (slot) {
+            const pool = this.getMockPool(mock.poolListType);
+            html += `
+                <div class="rankings-filters mock-draft-pool-filters">
+                    <div class="filter-group">
+                        <label for="mockPoolListType">Sort by:</label>
+                        <select id="mockPoolListType">
+                            <option value="overall"${mock.poolListType === 'overall' ? ' selected' : ''}>Overall</option>
+                            <option value="hitter"${mock.poolListType === 'hitter' ? ' selected' : ''}>Hitters</option>
+                            <option value="pitcher"${mock.poolListType === 'pitcher' ? ' selected' : ''}>Pitchers</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="rankings-items">
+                    ${pool.slice(0, 100).map((player, index) => `
+                        <div class="ranking-item">
+                            <div class="ranking-number">${index + 1}</div>
+                            <div class="ranking-content">
+                                <div class="ranking-player-name">${this.escapeHtml(player.name)}</div>
+                                <div class="ranking-player-details">
+                                    <span class="position-badge">${this.escapeHtml(player.position || '')}</span>
+                                    <span class="mlb-team">${this.escapeHtml(player.mlbTeam || '')}</span>
+                                </div>
+                            </div>
+                            <button class="btn btn-success btn-sm mock-pick-btn" data-id="${player.id}">Draft</button>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        html += this.renderMockDraftSummary();
+        html += '</div>';
+        container.innerHTML = html;
+
+        document.getElementById('exitMockDraftBtn').addEventListener('click', () => this.exitMockDraft());
+        document.getElementById('restartMockDraftBtn').addEventListener('click', () => {
+            this.startMockDraft(mock.myOwnerId, mock.randomness);
+        });
+
+        const listTypeSelect = document.getElementById('mockPoolListType');
+        if (listTypeSelect) {
+            listTypeSelect.addEventListener('change', (e) => {
+                mock.poolListType = e.target.value;
+                this.renderMockDraftView();
+            });
+        }
+
+        container.querySelectorAll('.mock-pick-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.makeMockPick(e.target.dataset.id));
+        });
+    }
+
+    // Simulated roster for each owner, in pick order
+    renderMockDraftSummary() {
+        const mock = this.mockDraft;
+        const ownerIds = [...new Set(mock.slots.map(slot => slot.ownerId))];
+
+        let html = '<div class="mock-draft-summary">';
+        ownerIds.forEach(ownerId => {
+            const ownerPicks = mock.picks.filter(pick => pick.slot.ownerId === ownerId);
+            html += `
+                <div class="owner-roster${ownerId === mock.myOwnerId ? ' mock-my-team' : ''}">
+                    <div class="owner-header">${this.escapeHtml(this.getOwnerName(ownerId))} (${ownerPicks.length} picks)</div>
+                    <table>
+                        <tbody>
+                            ${ownerPicks.map(pick => {
+                                const player = mock.players.find(p => p.id === pick.playerId);
+                                return `
+                                    <tr>
+                                        <td>${pick.slot.round}.${String(pick.slot.pickInRound).padStart(2, '0')}</td>
+                                        <td>${this.escapeHtml(player?.name || '')}</td>
+                                        <td><span class="position-badge">${this.escapeHtml(player?.position || '')}</span></td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+
+    // Event handling
+    bindEvents() {
+        // Add player button
+        document.getElementById('addPlayerBtn').addEventListener('click', () => {
+            this.showAddPlayerModal();
+        });
+
+        // Draft clock
+        document.getElementById('draftClockBtn').addEventListener('click', () => {
+            if (this.draftClock.pick === null) {
+                this.startDraftClock();
+            } else if (this.draftClock.paused) {
+                this.resumeDraftClock();
+            } else {
+                this.pauseDraftClock();
+            }
+        });
+
+        document.getElementById('draftClockStopBtn').addEventListener('click', () => {
+            this.stopDraftClock();
+        });
+
+        // Bulk import
+        document.getElementById('importPlayersBtn').addEventListener('click', () => {
+            this.showImportPlayersModal();
+        });
+
+        document.getElementById('importFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            document.getElementById('importText').value = await file.text();
+            this.handleImportParse();
+        });
+
+        document.getElementById('importParseBtn').addEventListener('click', () => {
+            this.handleImportParse();
+        });
+
+        document.getElementById('importPlayersConfirmBtn').addEventListener('click', () => {
+            this.handleImportPlayers();
+        });
+
+        // Exports
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.showExportModal();
+        });
+
+        document.getElementById('exportCsvBtn').addEventListener('click', () => {
+            this.exportCsv();
+            this.closeAllModals();
+        });
+
+        document.getElementById('exportJsonBtn').addEventListener('click', () => {
+            this.exportJson();
+            this.closeAllModals();
+        });
+
+        document.getElementById('exportPrintBtn').addEventListener('click', () => {
+            this.exportPrint();
+            this.closeAllModals();
+        });
+
+        document.getElementById('pendingChanges').addEventListener('click', () => {
+            this.showOutboxFailures();
+        });
+
+        // Outbox flushes as soon as the browser is back online
+        window.addEventListener('online', () => {
+            this.flushOutbox();
+        });
+        window.addEventListener('offline', () => {
+            this.renderOutboxStatus();
+        });
+
+        // Sync conflicts
+        document.getElementById('resolveConflictsBtn').addEventListener('click', () => {
+            this.handleResolveConflicts();
+        });
+
+        // Auth
+        document.getElementById('authBtn').addEventListener('click', () => {
+            this.showAuthModal();
+        });
+
+        document.getElementById('authForm').addEventListener('submit', (e) => {
+            this.handleSignIn(e);
+        });
+
+        // Ranking lists
+        document.getElementById('rankingListForm').addEventListener('submit', (e) => {
+            this.handleCreateRankingList(e);
+        });
+
+        // League and season switcher
+        document.getElementById('leagueSelect').addEventListener('change', (e) => {
+            this.handleLeagueSelect(e.target.value);
+        });
+
+        // Restore
+        document.getElementById('restoreBtn').addEventListener('click', () => {
+            this.showRestoreModal();
+        });
+
+        document.getElementById('restoreFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.handleRestoreFile(file);
+        });
+
+        document.getElementById('restoreClearSnapshotBtn').addEventListener('click', () => {
+            this.useClearSnapshot();
+        });
+
+        document.getElementById('restoreMode').addEventListener('change', () => {
+            this.renderRestoreDiff();
+        });
+
+        document.getElementById('restoreConfirmBtn').addEventListener('click', () => {
+            this.handleRestore();
+        });
+
+        // Draft settings
+        document.getElementById('draftSettingsBtn').addEventListener('click', () => {
+            this.showDraftSettingsModal();
+        });
+
+        document.getElementById('draftOrderType').addEventListener('change', (e) => {
+            document.getElementById('customOrderGroup').style.display = e.target.value === 'custom' ? 'block' : 'none';
+        });
+
+        // Clear all data
+        document.getElementById('clearAllBtn').addEventListener('click', () => {
+            if (!this.checkPermission('clear-all')) return;
+            if (confirm('Move every player to the trash? A JSON snapshot of the board is saved and downloaded first.')) {
+                this.clearAllData();
+            }
+        });
+
+        // View selection
+        document.getElementById('viewSelect').addEventListener('change', (e) => {
+            const newView = e.target.value;
+            console.log('View changing from', this.currentView, 'to', newView);
+
+            this.currentView = newView;
+            const ownerFilter = document.getElementById('ownerFilter');
+
+            if (this.currentView === 'by-owner') {
+                ownerFilter.style.display = 'flex';
+                this.updateOwnerSelect();
+                // Reset owner selection when entering by-owner view
+                this.currentOwner = '';
+                document.getElementById('ownerSelect').value = '';
+            } else {
+                ownerFilter.style.display = 'none';
+                this.currentOwner = '';
+            }
+
+            // Force re-render to ensure view change takes effect
+            this.render();
+        });
+
+        // Owner selection for by-owner view
+        document.getElementById('ownerSelect').addEventListener('change', (e) => {
+            this.currentOwner = e.target.value;
+            this.render();
+        });
+
+        // Position filter
+        document.getElementById('positionSelect').addEventListener('change', (e) => {
+            this.currentPositionFilter = e.target.value;
+            this.render();
+        });
+
+        // Search
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            this.searchTerm = e.target.value;
+            this.render();
+        });
+
+        // Sort buttons
+        document.getElementById('sortByName').addEventListener('click', () => {
+            this.setSort('name');
+        });
+
+        document.getElementById('sortByTeam').addEventListener('click', () => {
+            this.setSort('mlbTeam');
+        });
+
+        document.getElementById('sortByPosition').addEventListener('click', () => {
+            this.setSort('position');
+        });
+
+        // Supabase sync buttons
+        document.getElementById('loadFromSupabaseBtn').addEventListener('click', () => {
+            this.loadFromSupabase();
+        });
+
+        document.getElementById('backupToSupabaseBtn').addEventListener('click', () => {
+            this.backupToSupabase();
+        });
+
+        document.getElementById('syncStatus').addEventListener('click', () => {
+            if (this.syncResults) {
+                document.getElementById('syncResultsModal').style.display = 'block';
+            }
+        });
+
+        document.getElementById('fullReloadBtn').addEventListener('click', () => {
+            this.loadFromSupabase({ full: true });
+        });
+
+        // Modal forms
+        document.getElementById('addPlayerForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddPlayer(e);
+        });
+
+        document.getElementById('draftPlayerForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleDraftPlayer(e);
+        });
+
+        document.getElementById('draftSettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleDraftSettings();
+        });
+
+        // Modal close buttons
+        document.querySelectorAll('.close, .close-modal').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.closeAllModals();
+            });
+        });
+
+        // Click outside modal to close
+        window.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                this.closeAllModals();
+            }
+        });
+
+        // Edit mode toggle
+        document.getElementById('editModeToggle').addEventListener('change', (e) => {
+            if (e.target.checked && !this.checkWritable()) {
+                e.target.checked = false;
+                return;
+            }
+            this.editMode = e.target.checked;
+            this.render();
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Ctrl/Cmd + N for new player
+            if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
+                e.preventDefault();
+                this.showAddPlayerModal();
+            }
+
+            // Ctrl/Cmd + S for backup to Supabase (save/sync)
+            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+                e.preventDefault();
+                this.backupToSupabase();
+            }
+
+            // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z (or Ctrl + Y) to redo
+            // Text fields keep their native undo behavior
+            const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTyping) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            }
+
+            if ((e.ctrlKey || e.metaKey) && e.key === 'y' && !isTyping) {
+                e.preventDefault();
+                this.redo();
+            }
+
+            // Escape to close modals and close expanded notes
+            if (e.key === 'Escape') {
+                this.closeAllModals();
+                this.closeAllExpandedNotes();
+            }
+
+            // Ctrl/Cmd + F to focus search
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                e.preventDefault();
+                document.getElementById('searchInput').focus();
+            }
+        });
+    }
+
+    bindRowEvents() {
+        // Star toggle buttons
+        document.querySelectorAll('.star-icon').forEach(star => {
+            star.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const playerId = e.target.dataset.id;
+                this.toggleStar(playerId);
+            });
+        });
+
+        // Draft/Undraft buttons
+        document.querySelectorAll('.draft-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const playerId = e.target.dataset.id;
+                this.showDraftPlayerModal(playerId);
+            });
+        });
+
+        document.querySelectorAll('.queue-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleQueue(e.target.dataset.id);
+            });
+        });
+
+        document.querySelectorAll('.undraft-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const playerId = e.target.dataset.id;
+                this.undraftPlayer(playerId);
+            });
+        });
+
+        // Delete buttons
+        document.querySelectorAll('.delete-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const playerId = e.target.dataset.id;
+                if (!this.checkPermission('delete-player')) return;
+                if (confirm('Move this player to the trash?')) {
+                    this.deletePlayer(playerId);
+                }
+            });
+        });
+
+        // Inline editing and note expansion
+        document.querySelectorAll('.editable').forEach(elem => {
+            elem.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (elem.classList.contains('notes')) {
+                    // Notes can be expanded or edited based on edit mode
+                    if (this.editMode) {
+                        this.startInlineEdit(e.target);
+                    } else {
+                        this.toggleNoteExpansion(elem.dataset.id, elem);
+                    }
+                } else if (this.editMode) {
+                    this.startInlineEdit(e.target);
+                }
+            });
+        });
+
+        // Player name expandable cards
+        document.querySelectorAll('.player-name').forEach(elem => {
+            // Only add click handler if it's not already editable (to avoid conflicts)
+            if (!elem.classList.contains('editable')) {
+                elem.addEventListener('click', (e) => {
+                    // Don't expand if clicking on star icon
+                    if (e.target.classList.contains('star-icon')) {
+                        return; // Let star icon handle its own click
+                    }
+
+                    e.stopPropagation();
+                    const playerId = elem.dataset.id;
+                    this.togglePlayerCard(playerId);
+                });
+                elem.style.cursor = 'pointer';
+            }
+        });
+    }
+
+    // Modal management
+    showAddPlayerModal() {
+        if (!this.checkWritable()) return;
+        this.renderPositionPicker(document.getElementById('playerPositionPicker'));
+        document.getElementById('addPlayerModal').style.display = 'block';
+        document.getElementById('playerName').focus();
+    }
+
+    showDraftPlayerModal(playerId) {
+        if (!this.checkWritable()) return;
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return;
+
+        const pick = this.getCurrentPick();
+
+        document.getElementById('draftPlayerName').textContent = `${player.name} (${player.position || 'N/A'}) - ${player.mlbTeam || 'N/A'}`;
+        document.getElementById('draftPickInfo').textContent = pick ?
+            `${this.formatPickLabel(pick)} - ${this.getOwnerName(pick.ownerId)} on the clock` :
+            'No draft order configured';
+        document.getElementById('fantasyOwner').value = '';
+        document.getElementById('draftNotes').value = '';
+        document.getElementById('draftPlayerForm').dataset.playerId = playerId;
+        document.getElementById('draftPlayerModal').style.display = 'block';
+        document.getElementById('fantasyOwner').focus();
+
+        // Setup autocomplete for fantasy owner
+        this.setupOwnerAutocomplete();
+
+        // Pre-select the owner whose pick it is
+        if (pick) {
+            const select = document.getElementById('fantasyOwnerSelect');
+            if (!Array.from(select.options).some(opt => opt.value === pick.ownerId)) {
+                const option = document.createElement('option');
+                option.value = pick.ownerId;
+                option.textContent = this.getOwnerName(pick.ownerId);
+                select.appendChild(option);
+            }
+            select.value = pick.ownerId;
+            document.getElementById('fantasyOwner').value = pick.ownerId;
+            select.focus();
+        }
+
+        this.updateDraftRosterWarning();
+    }
+
+    closeAllModals() {
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.style.display = 'none';
+        });
+        this.currentEditingPlayer = null;
+    }
+
+    // Form handlers
+    handleAddPlayer(e) {
+        const formData = new FormData(e.target);
+        const { positions, primaryPosition } = this.readPositionPicker(document.getElementById('playerPositionPicker'));
+        const playerData = {
+            name: formData.get('playerName'),
+            positions,
+            primaryPosition,
+            mlbTeam: formData.get('playerMlbTeam'),
+            notes: formData.get('playerNotes')
+        };
+
+        if (!playerData.name || !playerData.name.trim()) {
+            alert('Player name is required');
+            return;
+        }
+
+        const positionError = this.validatePositions(positions, primaryPosition);
+        if (positionError) {
+            alert(positionError);
+            return;
+        }
+
+        this.addPlayer(playerData);
+        this.closeAllModals();
+        e.target.reset();
+
+        // Switch to "all" view to show the newly added player
+        if (this.currentView !== 'all') {
+            this.currentView = 'all';
+            document.getElementById('viewSelect').value = 'all';
+            const ownerFilter = document.getElementById('ownerFilter');
+            ownerFilter.style.display = 'none';
+            this.currentOwner = '';
+        }
+    }
+
+    handleDraftPlayer(e) {
+        const form = e.target;
+        const playerId = form.dataset.playerId;
+        const ownerData = {
+            owner: document.getElementById('fantasyOwner').value,
+            notes: document.getElementById('draftNotes').value
+        };
+
+        // Validate owner is provided
+        if (!ownerData.owner || !ownerData.owner.trim()) {
+            alert('Please enter a fantasy owner/team name');
+            return;
+        }
+
+        // Owners draft only for themselves, on their own turn
+        if (!this.checkPermission('draft', { ownerId: ownerData.owner.trim() })) {
+            return;
+        }
+
+        // Check league roster rules
+        const player = this.players.find(p => p.id === playerId);
+        const violation = this.getRosterViolation(ownerData.owner.trim(), player);
+        if (violation) {
+            if (this.rosterSettings.enforcement === 'block') {
+                alert(violation);
+                return;
+            }
+            if (!confirm(`${violation}\n\nDraft anyway?`)) {
+                return;
+            }
+        }
+
+        this.draftPlayer(playerId, ownerData);
+        this.closeAllModals();
+    }
+
+    // Bulk player import (CSV/TSV)
+    showImportPlayersModal() {
+        if (!this.checkWritable()) return;
+        this.importState = null;
+        document.getElementById('importText').value = '';
+        document.getElementById('importFile').value = '';
+        document.getElementById('importMapping').innerHTML = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('importPlayersConfirmBtn').disabled = true;
+        document.getElementById('importPlayersModal').style.display = 'block';
+    }
+
+    // Parse CSV or TSV text into rows of cells. Handles quoted fields with commas, quotes and newlines.
+    parseDelimitedText(text) {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const delimiter = firstLine.includes('\t') ? '\t' : ',';
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell.trim());
+        rows.push(row);
+
+        // Drop blank lines
+        return rows.filter(r => r.some(value => value !== ''));
+    }
+
+    getImportFields() {
+        return [
+            { key: 'name', label: 'Name', guesses: ['name', 'player', 'player name', 'full name'] },
+            { key: 'position', label: 'Position', guesses: ['position', 'pos', 'positions', 'eligibility'] },
+            { key: 'mlbTeam', label: 'MLB Team', guesses: ['team', 'mlb team', 'org', 'organization', 'mlbteam'] },
+            { key: 'notes', label: 'Notes', guesses: ['notes', 'note', 'comments', 'comment'] },
+            { key: 'headshotUrl', label: 'Headshot URL', guesses: ['headshot', 'headshot url', 'image', 'photo', 'headshoturl'] }
+        ];
+    }
+
+    // Name + team key for duplicate detection - ignores accents, case, punctuation and suffixes
+    getPlayerMatchKey(name, team) {
+        const normalize = (value) => (value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[.'’,-]/g, ' ')
+            .replace(/\b(jr|sr|ii|iii|iv)\b/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return `${normalize(name)}|${normalize(team)}`;
+    }
+
+    handleImportParse() {
+        const text = document.getElementById('importText').value;
+        if (!text.trim()) {
+            alert('Paste CSV/TSV data or choose a file first');
+            return;
+        }
+
+        const rows = this.parseDelimitedText(text);
+        const hasHeader = document.getElementById('importHasHeader').checked;
+        const headers = hasHeader ? rows[0] : rows[0].map((_, index) => `Column ${index + 1}`);
+
+        // Guess the mapping from header names, falling back to column order
+        const mapping = {};
+        this.getImportFields().forEach((field, fieldIndex) => {
+            const guessIndex = hasHeader ?
+                headers.findIndex(header => field.guesses.includes(header.toLowerCase().trim())) :
+                (fieldIndex < headers.length ? fieldIndex : -1);
+            mapping[field.key] = guessIndex;
+        });
+
+        this.importState = {
+            headers,
+            rows: hasHeader ? rows.slice(1) : rows,
+            mapping,
+            actions: {} // row index -> 'add' | 'skip' | 'merge'
+        };
+
+        this.renderImportMapping();
+        this.renderImportPreview();
+    }
+
+    renderImportMapping() {
+        const { headers, mapping } = this.importState;
+        const container = document.getElementById('importMapping');
+
+        container.innerHTML = this.getImportFields().map(field => `
+            <div class="filter-group">
+                <label for="importMap-${field.key}">${field.label}${field.key === 'name' ? ' *' : ''}</label>
+                <select id="importMap-${field.key}" data-field="${field.key}">
+                    <option value="-1">(none)</option>
+                    ${headers.map((header, index) => `<option value="${index}"${mapping[field.key] === index ? ' selected' : ''}>${this.escapeHtml(header)}</option>`).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.importState.mapping[e.target.dataset.field] = parseInt(e.target.value, 10);
+                this.importState.actions = {};
+                this.renderImportPreview();
+            });
+        });
+    }
+
+    // Map raw rows to player data and flag duplicates against the board and earlier rows
+    getImportRows() {
+        const { rows, mapping, actions } = this.importState;
+        const existingByKey = new Map(this.players.map(p => [this.getPlayerMatchKey(p.name, p.mlbTeam), p]));
+        const seenKeys = new Set();
+
+        return rows.map((row, index) => {
+            const data = {};
+            this.getImportFields().forEach(field => {
+                data[field.key] = mapping[field.key] >= 0 ? (row[mapping[field.key]] || '') : '';
+            });
+
+            const key = this.getPlayerMatchKey(data.name, data.mlbTeam);
+            const existing = existingByKey.get(key) || null;
+            const duplicateInFile = seenKeys.has(key);
+            seenKeys.add(key);
+
+            let status = 'new';
+            if (!data.name.trim()) status = 'invalid';
+            else if (existing) status = 'duplicate';
+            else if (duplicateInFile) status = 'repeat';
+
+            const defaultAction = status === 'new' ? 'add' : 'skip';
+            return {
+                index,
+                data,
+                existing,
+                status,
+                unknownPositions: this.parsePositions(data.position).unknown,
+                action: status === 'invalid' ? 'skip' : (actions[index] || defaultAction)
+            };
+        });
+    }
+
+    renderImportPreview() {
+        const importRows = this.getImportRows();
+        const container = document.getElementById('importPreview');
+        const counts = { add: 0, merge: 0, skip: 0 };
+        importRows.forEach(row => counts[row.action]++);
+
+        const statusLabels = {
+            'new': 'New',
+            'duplicate': 'Already on board',
+            'repeat': 'Repeated in file',
+            'invalid': 'Missing name'
+        };
+
+        container.innerHTML = `
+            <p class="import-summary">${importRows.length} rows: ${counts.add} to add, ${counts.merge} to merge, ${counts.skip} to skip</p>
+            <div class="import-preview-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Position</th>
+                            <th>MLB Team</th>
+                            <th>Status</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${importRows.map(row => `
+                            <tr class="import-row ${row.status}">
+                                <td>${this.escapeHtml(row.data.name)}</td>
+                                <td>${this.escapeHtml(row.data.position)}${row.unknownPositions.length ? ` <span class="import-warning" title="Unrecognized positions are dropped">⚠ ${this.escapeHtml(row.unknownPositions.join(', '))}</span>` : ''}</td>
+                                <td>${this.escapeHtml(row.data.mlbTeam)}</td>
+                                <td>${statusLabels[row.status]}${row.existing ? `: ${this.escapeHtml(row.existing.name)}` : ''}</td>
+                                <td>
+                                    ${row.status === 'invalid' ? '-' : `
+                                        <select class="import-action" data-index="${row.index}">
+                                            <option value="add"${row.action === 'add' ? ' selected' : ''}>Add</option>
+                                            ${row.existing ? `<option value="merge"${row.action === 'merge' ? ' selected' : ''}>Merge</option>` : ''}
+                                            <option value="skip"${row.action === 'skip' ? ' selected' : ''}>Skip</option>
+                                        </select>
+                                    `}
+                                </td>
                             </tr>
-                        </thead>
-                        <tbody>
-            `;
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
 
-            ownerPlayers.forEach(player => {
-                html += `
-                    <tr>
-                        <td><div class="player-name">${this.escapeHtml(player.name)}</div></td>
-                        <td><span class="position-badge">${this.escapeHtml(player.position || '')}</span></td>
-                        <td><div class="mlb-team">${this.escapeHtml(player.mlbTeam || '')}</div></td>
-                        <td><div class="notes" title="${this.escapeHtml(player.notes || '')}">${this.escapeHtml(player.notes || '')}</div></td>
-                        <td>
-                            <div class="actions">
-                                <button class="btn btn-warning btn-sm undraft-btn" data-id="${player.id}">Undraft</button>
-                            </div>
-                        </td>
-                    </tr>
-                `;
+        container.querySelectorAll('.import-action').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.importState.actions[e.target.dataset.index] = e.target.value;
+                this.renderImportPreview();
             });
-
-            html += `
-                        </tbody>
-                    </table>
-                </div>
-            `;
         });
 
-        container.innerHTML = html;
-        this.bindRowEvents();
+        document.getElementById('importPlayersConfirmBtn').disabled = counts.add + counts.merge === 0;
     }
 
-    // Event handling
-    bindEvents() {
-        // Add player button
-        document.getElementById('addPlayerBtn').addEventListener('click', () => {
-            this.showAddPlayerModal();
-        });
+    handleImportPlayers() {
+        if (!this.importState) return;
+        if (this.importState.mapping.name < 0) {
+            alert('Please map a column to Name');
+            return;
+        }
 
-        // Clear all data
-        document.getElementById('clearAllBtn').addEventListener('click', () => {
-            if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
-                this.clearAllData();
+        // The whole import is one undo step and one history event, and syncs in chunks
+        let added = 0;
+        let merged = 0;
+        const before = [];
+        const after = [];
+
+        this.getImportRows().forEach(row => {
+            if (row.action === 'add') {
+                const player = this.createPlayer(row.data);
+                this.players.push(player);
+                after.push(player);
+                added++;
+            } else if (row.action === 'merge' && row.existing) {
+                const updated = this.mergeImportedPlayer(row.existing, row.data);
+                if (updated) {
+                    before.push(row.existing);
+                    after.push(updated);
+                }
+                merged++;
             }
         });
 
-        // View selection
-        document.getElementById('viewSelect').addEventListener('change', (e) => {
-            const newView = e.target.value;
-            console.log('View changing from', this.currentView, 'to', newView);
+        if (after.length > 0) {
+            this.recordEvent('import', null,
+                { players: before.map(p => ({ ...p })) },
+                { players: after.map(p => ({ ...p })) });
+        }
+        this.saveToStorage();
+        this.render();
+        this.queuePlayerChanges(after.map(player => player.id));
+        this.closeAllModals();
+        this.importState = null;
+        this.setSyncStatus(`Imported ${added} players, merged ${merged}`, 'success');
+    }
 
-            this.currentView = newView;
-            const ownerFilter = document.getElementById('ownerFilter');
+    // Fill empty fields on an existing player; notes are appended when different.
+    // Returns the updated player, or null when there was nothing to fill.
+    mergeImportedPlayer(existing, data) {
+        const updates = {};
 
-            if (this.currentView === 'by-owner') {
-                ownerFilter.style.display = 'flex';
-                this.updateOwnerSelect();
-                // Reset owner selection when entering by-owner view
-                this.currentOwner = '';
-                document.getElementById('ownerSelect').value = '';
-            } else {
-                ownerFilter.style.display = 'none';
-                this.currentOwner = '';
-            }
+        if (data.position && this.getPlayerPositions(existing).length === 0) {
+            Object.assign(updates, this.getTextPositions(data.position));
+        }
+        if (data.mlbTeam && !existing.mlbTeam) updates.mlbTeam = data.mlbTeam.trim();
+        if (data.headshotUrl && !existing.headshotUrl) updates.headshotUrl = data.headshotUrl.trim();
+        if (data.notes && !(existing.notes || '').includes(data.notes.trim())) {
+            updates.notes = existing.notes ? `${existing.notes}\n${data.notes.trim()}` : data.notes.trim();
+        }
 
-            // Force re-render to ensure view change takes effect
-            this.render();
-        });
+        const index = this.players.findIndex(p => p.id === existing.id);
+        if (index === -1 || Object.keys(updates).length === 0) return null;
 
-        // Owner selection for by-owner view
-        document.getElementById('ownerSelect').addEventListener('change', (e) => {
-            this.currentOwner = e.target.value;
-            this.render();
-        });
+        const updated = { ...existing, ...updates };
+        this.stampFieldVersions(existing, updated);
+        this.players[index] = updated;
+        return updated;
+    }
 
-        // Position filter
-        document.getElementById('positionSelect').addEventListener('change', (e) => {
-            this.currentPositionFilter = e.target.value;
-            this.render();
-        });
+    // Exports - CSV and print follow the current view, filters and sort; JSON is a full bundle
+    showExportModal() {
+        document.getElementById('exportModal').style.display = 'block';
+    }
 
-        // Search
-        document.getElementById('searchInput').addEventListener('input', (e) => {
-            this.searchTerm = e.target.value;
-            this.render();
-        });
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
 
-        // Sort buttons
-        document.getElementById('sortByName').addEventListener('click', () => {
-            this.setSort('name');
-        });
+    getExportFilename(extension) {
+        return `baseball-draft-${this.currentView}-${new Date().toISOString().split('T')[0]}.${extension}`;
+    }
 
-        document.getElementById('sortByTeam').addEventListener('click', () => {
-            this.setSort('mlbTeam');
-        });
+    escapeCsvValue(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-        document.getElementById('sortByPosition').addEventListener('click', () => {
-            this.setSort('position');
-        });
+    exportCsv() {
+        const headers = ['Name', 'Positions', 'Primary Position', 'MLB Team', 'Drafted', 'Fantasy Owner',
+            'Round', 'Pick', 'Starred', 'Notes', 'Draft Notes'];
+
+        const rows = this.getFilteredPlayers().map(player => [
+            player.name,
+            this.getPlayerPositions(player).join('/'),
+            player.primaryPosition || '',
+            player.mlbTeam || '',
+            player.drafted ? 'Yes' : 'No',
+            player.drafted ? this.getOwnerName(player.fantasyOwner) : '',
+            player.draftRound || '',
+            player.draftPick || '',
+            player.starred ? 'Yes' : 'No',
+            player.notes || '',
+            player.draftNotes || ''
+        ]);
+
+        const csv = [headers, ...rows]
+            .map(row => row.map(value => this.escapeCsvValue(value)).join(','))
+            .join('\n');
+
+        this.downloadFile(csv, this.getExportFilename('csv'), 'text/csv');
+        this.setSyncStatus(`Exported ${rows.length} players to CSV`, 'success');
+    }
 
-        // Supabase sync buttons
-        document.getElementById('loadFromSupabaseBtn').addEventListener('click', () => {
-            this.loadFromSupabase();
-        });
+    // Every ranking list as rows, read-only
+    // With required set, a failed load throws instead of handing back empty lists
+    async loadAllRankingLists({ required = false } = {}) {
+        const lists = { overall: [], hitter: [], pitcher: [] };
+        if (!this.supabase) return lists;
 
-        document.getElementById('backupToSupabaseBtn').addEventListener('click', () => {
-            this.backupToSupabase();
-        });
+        try {
+            const { data, error } = await this.supabase
+                .from('player_rankings')
+                .select('*')
+                .eq('league_id', this.leagueId)
+                .order('rank_index', { ascending: true });
 
-        // Modal forms
-        document.getElementById('addPlayerForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleAddPlayer(e);
-        });
+            if (error) throw error;
+            (data || []).forEach(ranking => {
+                if (!lists[ranking.list_type]) lists[ranking.list_type] = [];
+                lists[ranking.list_type].push(ranking);
+            });
+        } catch (error) {
+            console.error('Error loading rankings for export:', error);
+            if (required) throw error;
+        }
+        return lists;
+    }
 
-        document.getElementById('draftPlayerForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleDraftPlayer(e);
-        });
+    getBundleSchemaVersion() {
+        return 1;
+    }
 
-        // Modal close buttons
-        document.querySelectorAll('.close, .close-modal').forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.closeAllModals();
-            });
-        });
+    async buildExportBundle({ requireRankings = false } = {}) {
+        const rankingLists = await this.loadAllRankingLists({ required: requireRankings });
+
+        return {
+            schemaVersion: this.getBundleSchemaVersion(),
+            exportedAt: new Date().toISOString(),
+            view: {
+                currentView: this.currentView,
+                positionFilter: this.currentPositionFilter,
+                searchTerm: this.searchTerm,
+                sortField: this.sortField,
+                sortDirection: this.sortDirection,
+                playerIds: this.getFilteredPlayers().map(p => p.id)
+            },
+            owners: this.getDraftableOwners(),
+            players: this.players.map(player => ({ ...player })),
+            rankings: Object.fromEntries(Object.entries(rankingLists).map(([listType, rankings]) => [
+                listType,
+                rankings.map(r => ({ player_id: r.player_id, rank_index: r.rank_index }))
+            ])),
+            draftSettings: this.draftSettings,
+            rosterSettings: this.rosterSettings
+        };
+    }
 
-        // Click outside modal to close
-        window.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal')) {
-                this.closeAllModals();
-            }
-        });
+    async exportJson() {
+        this.setSyncStatus('Preparing export...', 'loading');
+        const bundle = await this.buildExportBundle();
+        this.downloadFile(JSON.stringify(bundle, null, 2), this.getExportFilename('json'), 'application/json');
+        this.setSyncStatus(`Exported ${bundle.players.length} players to JSON`, 'success');
+    }
 
-        // Edit mode toggle
-        document.getElementById('editModeToggle').addEventListener('change', (e) => {
-            this.editMode = e.target.checked;
-            this.render();
-        });
+    // Open a print-optimized page: draft board (if configured), owner rosters and the current player list
+    exportPrint() {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert('Please allow pop-ups to open the print view');
+            return;
+        }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + N for new player
-            if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
-                e.preventDefault();
-                this.showAddPlayerModal();
+        const players = this.getFilteredPlayers();
+        const slots = this.getDraftSlots();
+        let body = `<h1>Dynasty Baseball Draft - ${new Date().toLocaleDateString()}</h1>`;
+
+        if (slots.length > 0) {
+            const columnIds = [...this.draftSettings.ownerOrder];
+            const playersByPick = new Map(this.players.filter(p => p.drafted && p.draftPick).map(p => [p.draftPick, p]));
+
+            body += '<h2>Draft Board</h2><table class="board"><thead><tr><th>Rd</th>' +
+                columnIds.map(id => `<th>${this.getOwnerDisplay(id)}</th>`).join('') +
+                '</tr></thead><tbody>';
+            for (let round = 1; round <= this.draftSettings.rounds; round++) {
+                body += `<tr><td>${round}</td>`;
+                columnIds.forEach(ownerId => {
+                    const cellSlots = slots.filter(slot => slot.round === round && slot.ownerId === ownerId);
+                    body += '<td>' + cellSlots.map(slot => {
+                        const player = playersByPick.get(slot.overall);
+                        const label = `${slot.round}.${String(slot.pickInRound).padStart(2, '0')}`;
+                        return player ?
+                            `<div><small>${label}</small> ${this.escapeHtml(player.name)} <small>${this.escapeHtml(player.position || '')}</small></div>` :
+                            `<div class="empty"><small>${label}</small></div>`;
+                    }).join('') + '</td>';
+                });
+                body += '</tr>';
             }
+            body += '</tbody></table>';
+        }
 
-            // Ctrl/Cmd + S for backup to Supabase (save/sync)
-            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-                e.preventDefault();
-                this.backupToSupabase();
-            }
+        const owners = this.getUniqueOwners();
+        if (owners.length > 0) {
+            body += '<h2>Rosters</h2><div class="rosters">';
+            owners.forEach(ownerId => {
+                const roster = this.getOwnerRosterPlayers(ownerId);
+                body += `<div class="roster"><h3>${this.getOwnerDisplay(ownerId)} (${roster.length})</h3><table><tbody>` +
+                    roster.map(player => `<tr><td>${this.getPlayerPickLabel(player) || '-'}</td><td>${this.escapeHtml(player.name)}</td><td>${this.escapeHtml(player.position || '')}</td><td>${this.escapeHtml(player.mlbTeam || '')}</td></tr>`).join('') +
+                    '</tbody></table></div>';
+            });
+            body += '</div>';
+        }
 
-            // Escape to close modals and close expanded notes
-            if (e.key === 'Escape') {
-                this.closeAllModals();
-                this.closeAllExpandedNotes();
-            }
+        body += `<h2>Players (${players.length})</h2><table><thead><tr><th>Name</th><th>Position</th><th>MLB Team</th><th>Owner</th><th>Pick</th><th>Notes</th></tr></thead><tbody>` +
+            players.map(player => `
+                <tr>
+                    <td>${player.starred ? '★ ' : ''}${this.escapeHtml(player.name)}</td>
+                    <td>${this.escapeHtml(player.position || '')}</td>
+                    <td>${this.escapeHtml(player.mlbTeam || '')}</td>
+                    <td>${player.drafted ? this.getOwnerDisplay(player.fantasyOwner) : 'Available'}</td>
+                    <td>${this.getPlayerPickLabel(player)}</td>
+                    <td>${this.escapeHtml(player.notes || '')}</td>
+                </tr>
+            `).join('') +
+            '</tbody></table>';
+
+        printWindow.document.write(`<!DOCTYPE html>
+            <html>
+            <head>
+                <title>Draft Board Print</title>
+                <style>
+                    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 11px; color: #000; margin: 20px; }
+                    h1 { font-size: 18px; } h2 { font-size: 15px; margin-top: 24px; } h3 { font-size: 12px; margin: 0 0 6px; }
+                    table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+                    th, td { border: 1px solid #999; padding: 3px 5px; text-align: left; vertical-align: top; }
+                    .board td { height: 32px; } .board .empty { color: #999; }
+                    .rosters { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+                    .roster { break-inside: avoid; }
+                    @media print { h2 { break-before: page; } h1 + h2 { break-before: avoid; } * { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+                </style>
+            </head>
+            <body>${body}</body>
+            </html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
 
-            // Ctrl/Cmd + F to focus search
-            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
-                e.preventDefault();
-                document.getElementById('searchInput').focus();
-            }
-        });
+    // Restore from a JSON bundle written by exportJson
+    showRestoreModal() {
+        if (!this.checkWritable()) return;
+        this.restoreBundle = null;
+        document.getElementById('restoreFile').value = '';
+        document.getElementById('restoreMode').value = 'merge';
+        document.getElementById('restoreToSupabase').checked = !!this.supabase;
+        document.getElementById('restoreToSupabase').disabled = !this.supabase;
+        document.getElementById('restoreDiff').innerHTML = '';
+        document.getElementById('restoreConfirmBtn').disabled = true;
+
+        const clearSnapshot = this.loadClearSnapshot();
+        document.getElementById('restoreClearSnapshot').style.display = clearSnapshot ? 'block' : 'none';
+        document.getElementById('restoreClearSnapshotInfo').textContent = clearSnapshot ?
+            `Saved by Clear All on ${new Date(clearSnapshot.exportedAt).toLocaleString()} - ${clearSnapshot.players.length} players` : '';
+
+        document.getElementById('restoreModal').style.display = 'block';
     }
 
-    bindRowEvents() {
-        // Star toggle buttons
-        document.querySelectorAll('.star-icon').forEach(star => {
-            star.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const playerId = e.target.dataset.id;
-                this.toggleStar(playerId);
-            });
-        });
+    // The board as it was before the last Clear All in this league, or null
+    loadClearSnapshot() {
+        const stored = localStorage.getItem(this.getScopedKey('baseballDraftTrackerClearSnapshot'));
+        if (!stored) return null;
+        try {
+            const bundle = JSON.parse(stored);
+            return this.validateRestoreBundle(bundle) ? null : bundle;
+        } catch (e) {
+            console.error('Error loading Clear All snapshot:', e);
+            return null;
+        }
+    }
 
-        // Draft/Undraft buttons
-        document.querySelectorAll('.draft-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const playerId = e.target.dataset.id;
-                this.showDraftPlayerModal(playerId);
-            });
-        });
+    useClearSnapshot() {
+        const bundle = this.loadClearSnapshot();
+        if (!bundle) return;
+        document.getElementById('restoreFile').value = '';
+        this.restoreBundle = bundle;
+        this.renderRestoreDiff();
+    }
 
-        document.querySelectorAll('.undraft-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const playerId = e.target.dataset.id;
-                this.undraftPlayer(playerId);
-            });
-        });
+    // Returns an error message, or null when the bundle can be restored
+    validateRestoreBundle(bundle) {
+        if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+            return 'File is not a draft board export';
+        }
+        if (typeof bundle.schemaVersion !== 'number') {
+            return 'File has no schema version';
+        }
+        if (bundle.schemaVersion > this.getBundleSchemaVersion()) {
+            return `File uses schema version ${bundle.schemaVersion}, this tracker only understands up to ${this.getBundleSchemaVersion()}`;
+        }
+        if (!Array.isArray(bundle.players) || bundle.players.some(p => !p || !p.id || !p.name)) {
+            return 'Players must be a list with an id and name for each player';
+        }
+        if (bundle.owners && (!Array.isArray(bundle.owners) || bundle.owners.some(o => !o || !o.id || !o.name))) {
+            return 'Owners must be a list with an id and name for each owner';
+        }
+        if (bundle.rankings && (typeof bundle.rankings !== 'object' ||
+            Object.values(bundle.rankings).some(list => !Array.isArray(list) || list.some(r => !r || !r.player_id)))) {
+            return 'Rankings must be lists of player ids';
+        }
+        return null;
+    }
 
-        // Delete buttons
-        document.querySelectorAll('.delete-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const playerId = e.target.dataset.id;
-                if (confirm('Are you sure you want to delete this player?')) {
-                    this.deletePlayer(playerId);
-                }
-            });
-        });
+    async handleRestoreFile(file) {
+        const diffContainer = document.getElementById('restoreDiff');
+        this.restoreBundle = null;
+        document.getElementById('restoreConfirmBtn').disabled = true;
 
-        // Inline editing and note expansion
-        document.querySelectorAll('.editable').forEach(elem => {
-            elem.addEventListener('click', (e) => {
-                e.stopPropagation();
-                if (elem.classList.contains('notes')) {
-                    // Notes can be expanded or edited based on edit mode
-                    if (this.editMode) {
-                        this.startInlineEdit(e.target);
-                    } else {
-                        this.toggleNoteExpansion(elem.dataset.id, elem);
-                    }
-                } else if (this.editMode) {
-                    this.startInlineEdit(e.target);
-                }
-            });
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            diffContainer.innerHTML = '<p class="import-summary import-warning">File is not valid JSON</p>';
+            return;
+        }
+
+        const validationError = this.validateRestoreBundle(bundle);
+        if (validationError) {
+            diffContainer.innerHTML = `<p class="import-summary import-warning">${this.escapeHtml(validationError)}</p>`;
+            return;
+        }
+
+        this.restoreBundle = bundle;
+        this.renderRestoreDiff();
+    }
+
+    getRestoreFields() {
+        return {
+            name: 'Name',
+            position: 'Position',
+            mlbTeam: 'MLB Team',
+            notes: 'Notes',
+            starred: 'Starred',
+            drafted: 'Drafted',
+            fantasyOwner: 'Owner',
+            draftNotes: 'Draft Notes',
+            draftRound: 'Round',
+            draftPick: 'Pick'
+        };
+    }
+
+    getRestoreDiff(bundle, mode) {
+        const fields = this.getRestoreFields();
+        const localById = new Map(this.players.map(p => [p.id, p]));
+        const bundleIds = new Set(bundle.players.map(p => p.id));
+        const diff = { added: [], changed: [], removed: [], unchanged: 0, owners: [], rankings: {} };
+
+        bundle.players.forEach(player => {
+            const existing = localById.get(player.id);
+            if (!existing) {
+                diff.added.push(player);
+                return;
+            }
+            const changedFields = Object.keys(fields).filter(field =>
+                JSON.stringify(existing[field] ?? null) !== JSON.stringify(player[field] ?? null));
+            if (changedFields.length > 0) {
+                diff.changed.push({ player, changedFields });
+            } else {
+                diff.unchanged++;
+            }
         });
 
-        // Player name expandable cards
-        document.querySelectorAll('.player-name').forEach(elem => {
-            // Only add click handler if it's not already editable (to avoid conflicts)
-            if (!elem.classList.contains('editable')) {
-                elem.addEventListener('click', (e) => {
-                    // Don't expand if clicking on star icon
-                    if (e.target.classList.contains('star-icon')) {
-                        return; // Let star icon handle its own click
-                    }
+        if (mode === 'replace') {
+            diff.removed = this.players.filter(p => !bundleIds.has(p.id));
+        }
 
-                    e.stopPropagation();
-                    const playerId = elem.dataset.id;
-                    this.togglePlayerCard(playerId);
-                });
-                elem.style.cursor = 'pointer';
-            }
+        const ownerIds = new Set(this.owners.map(o => o.id));
+        diff.owners = (bundle.owners || []).filter(o => o.id !== o.name && !ownerIds.has(o.id));
+
+        Object.entries(bundle.rankings || {}).forEach(([listType, rankings]) => {
+            diff.rankings[listType] = rankings.length;
         });
-    }
 
-    // Modal management
-    showAddPlayerModal() {
-        document.getElementById('addPlayerModal').style.display = 'block';
-        document.getElementById('playerName').focus();
+        return diff;
     }
 
-    showDraftPlayerModal(playerId) {
-        const player = this.players.find(p => p.id === playerId);
-        if (!player) return;
+    renderRestoreDiff() {
+        const bundle = this.restoreBundle;
+        if (!bundle) return;
+
+        const mode = document.getElementById('restoreMode').value;
+        const diff = this.getRestoreDiff(bundle, mode);
+        const fields = this.getRestoreFields();
+        const rankingSummary = Object.entries(diff.rankings)
+            .map(([listType, count]) => `${listType} (${count})`)
+            .join(', ');
+
+        const rows = [
+            ...diff.added.map(player => ({ player, status: 'new', label: 'Add' })),
+            ...diff.changed.map(({ player, changedFields }) => ({
+                player,
+                status: 'duplicate',
+                label: `Update: ${changedFields.map(field => fields[field]).join(', ')}`
+            })),
+            ...diff.removed.map(player => ({ player, status: 'invalid', label: 'Remove' }))
+        ];
 
-        document.getElementById('draftPlayerName').textContent = `${player.name} (${player.position || 'N/A'}) - ${player.mlbTeam || 'N/A'}`;
-        document.getElementById('fantasyOwner').value = '';
-        document.getElementById('draftNotes').value = '';
-        document.getElementById('draftPlayerForm').dataset.playerId = playerId;
-        document.getElementById('draftPlayerModal').style.display = 'block';
-        document.getElementById('fantasyOwner').focus();
+        document.getElementById('restoreDiff').innerHTML = `
+            <p class="import-summary">
+                Export from ${this.escapeHtml(bundle.exportedAt ? new Date(bundle.exportedAt).toLocaleString() : 'unknown date')}:
+                ${diff.added.length} to add, ${diff.changed.length} to update, ${diff.removed.length} to remove, ${diff.unchanged} unchanged.
+                ${diff.owners.length ? `${diff.owners.length} new owners.` : ''}
+                ${rankingSummary ? `Rankings to replace: ${this.escapeHtml(rankingSummary)}.` : ''}
+            </p>
+            ${rows.length ? `
+                <div class="import-preview-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Position</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr class="import-row ${row.status}">
+                                    <td>${this.escapeHtml(row.player.name)}</td>
+                                    <td>${this.escapeHtml(row.player.position || '')}</td>
+                                    <td>${this.escapeHtml(row.label)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
 
-        // Setup autocomplete for fantasy owner
-        this.setupOwnerAutocomplete();
+        document.getElementById('restoreConfirmBtn').disabled = false;
     }
 
-    closeAllModals() {
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.style.display = 'none';
-        });
-        this.currentEditingPlayer = null;
-    }
+    async handleRestore() {
+        const bundle = this.restoreBundle;
+        if (!bundle) return;
 
-    // Form handlers
-    handleAddPlayer(e) {
-        const formData = new FormData(e.target);
-        const playerData = {
-            name: formData.get('playerName'),
-            position: formData.get('playerPosition'),
-            mlbTeam: formData.get('playerMlbTeam'),
-            notes: formData.get('playerNotes')
-        };
+        const mode = document.getElementById('restoreMode').value;
+        const toSupabase = document.getElementById('restoreToSupabase').checked && !!this.supabase;
 
-        if (!playerData.name || !playerData.name.trim()) {
-            alert('Player name is required');
+        // Replacing the board deletes every player left out of the file
+        if (mode === 'replace' && !this.checkPermission('clear-all')) return;
+        if (mode === 'replace' && !confirm('Replace all players on this board with the backup? Players not in the file will be moved to the trash.')) {
             return;
         }
 
-        this.addPlayer(playerData);
+        const restoredPlayers = bundle.players.map(player => {
+            const restored = { ...player };
+            this.normalizePlayerPositions(restored);
+            return restored;
+        });
+        const restoredIds = new Set(restoredPlayers.map(p => p.id));
+
+        if (mode === 'replace') {
+            this.trashPlayers(this.players.filter(p => !restoredIds.has(p.id)).map(p => p.id));
+        }
+
+        // Every restored player is a fresh edit, so it wins over older edits when it syncs instead of
+        // losing to them; one that has since been deleted comes back out of the trash
+        const before = restoredPlayers.map(p => this.findAnyPlayer(p.id)).filter(Boolean).map(p => ({ ...p }));
+        restoredPlayers.forEach(player => this.restorePlayerState(player.id, player));
+        this.recordEvent('import', null,
+            { players: before },
+            { players: restoredPlayers.map(p => ({ ...this.findAnyPlayer(p.id) })), source: 'backup' });
+
+        if (mode === 'replace') {
+            if (bundle.draftSettings) {
+                this.draftSettings = { ...this.getDefaultDraftSettings(), ...bundle.draftSettings };
+            }
+            if (bundle.rosterSettings) {
+                const defaultRoster = this.getDefaultRosterSettings();
+                this.rosterSettings = {
+                    ...defaultRoster,
+                    ...bundle.rosterSettings,
+                    slots: { ...defaultRoster.slots, ...(bundle.rosterSettings.slots || {}) }
+                };
+            }
+        }
+
+        // Owners are always merged; legacy name-only owners live on the players themselves
+        const restoredOwners = (bundle.owners || []).filter(o => o.id !== o.name);
+        restoredOwners.forEach(owner => {
+            if (!this.owners.some(o => o.id === owner.id)) {
+                this.owners.push({ ...owner });
+            }
+        });
+
+        const playerIds = new Set(this.players.map(p => p.id));
+        Object.entries(bundle.rankings || {}).forEach(([listType, rankings]) => {
+            this.localRankings[listType] = rankings
+                .filter(r => playerIds.has(r.player_id))
+                .map((r, index) => ({
+                    id: crypto.randomUUID(),
+                    player_id: r.player_id,
+                    list_type: listType,
+                    rank_index: index + 1
+                }));
+        });
+        this.rankings = [];
+
+        this.saveToStorage();
+        this.updateOwnerSelect();
+        this.render();
         this.closeAllModals();
-        e.target.reset();
+        this.restoreBundle = null;
+        this.setSyncStatus(`Restored ${restoredPlayers.length} players from backup`, 'success');
 
-        // Switch to "all" view to show the newly added player
-        if (this.currentView !== 'all') {
-            this.currentView = 'all';
-            document.getElementById('viewSelect').value = 'all';
-            const ownerFilter = document.getElementById('ownerFilter');
-            ownerFilter.style.display = 'none';
-            this.currentOwner = '';
+        if (toSupabase) {
+            await this.restoreToSupabase(mode, restoredOwners, Object.keys(bundle.rankings || {}));
         }
     }
 
-    handleDraftPlayer(e) {
-        const form = e.target;
-        const playerId = form.dataset.playerId;
-        const ownerData = {
-            owner: document.getElementById('fantasyOwner').value,
-            notes: document.getElementById('draftNotes').value
-        };
+    async restoreToSupabase(mode, owners, listTypes) {
+        try {
+            this.setSyncStatus('Restoring to Supabase...', 'loading');
 
-        // Validate owner is provided
-        if (!ownerData.owner || !ownerData.owner.trim()) {
-            alert('Please enter a fantasy owner/team name');
-            return;
+            if (owners.length > 0) {
+                const { error } = await this.supabase
+                    .from('owners')
+                    .upsert(owners.map(o => ({ id: o.id, name: o.name, league_id: this.leagueId })), { onConflict: 'id' });
+                if (error) throw error;
+            }
+
+            await this.backupToSupabase({ all: true });
+
+            // A replace brings back the backup's draft order too
+            if (mode === 'replace' && !this.getPermissionError('draft-settings')) {
+                await this.saveDraftSettingsToSupabase(this.draftSettings);
+            }
+
+            // Players on Supabase this board never loaded go to the trash there too, by explicit id in
+            // chunks; a not-in filter listing every kept id outgrows the URL
+            if (mode === 'replace' && this.players.length > 0) {
+                const knownIds = new Set([...this.players, ...this.trash].map(p => p.id));
+                const staleIds = (await this.fetchLeagueIds('players')).filter(id => !knownIds.has(id));
+                await this.trashRowsById(staleIds);
+            }
+
+            for (const listType of listTypes) {
+                await this.restoreRankingListToSupabase(listType, (this.localRankings[listType] || []).map(r => r.player_id));
+            }
+
+            this.setSyncStatus('Backup restored to Supabase', 'success');
+        } catch (error) {
+            console.error('Error restoring to Supabase:', error);
+            this.setSyncStatus('Error restoring to Supabase', 'error');
         }
 
-        this.draftPlayer(playerId, ownerData);
-        this.closeAllModals();
+        // The restore rewrote lists through this.rankings; put the one on screen back
+        await this.loadRankings(this.rankingsView);
+    }
+
+    // Every row id in this league for a table, paged like a full load
+    async fetchLeagueIds(table) {
+        const pageSize = this.getSyncChunkSize() * 5;
+        const ids = [];
+        for (let from = 0; ; from += pageSize) {
+            const { data: page, error } = await this.supabase
+                .from(table)
+                .select('id')
+                .eq('league_id', this.leagueId)
+                .order('id', { ascending: true })
+                .range(from, from + pageSize - 1);
+            if (error) throw error;
+
+            ids.push(...(page || []).map(row => row.id));
+            if (!page || page.length < pageSize) break;
+        }
+        return ids;
+    }
+
+    // Soft-delete players by id, stamped like a delete made on this board so co-owners take it
+    async trashRowsById(ids) {
+        const chunkSize = this.getSyncChunkSize();
+        const deletedAt = new Date().toISOString();
+        for (let start = 0; start < ids.length; start += chunkSize) {
+            const { data, error } = await this.supabase
+                .from('players')
+                .select('*')
+                .in('id', ids.slice(start, start + chunkSize));
+            if (error) throw error;
+
+            const rows = (data || []).filter(row => !row.deleted_at).map(row => {
+                const before = this.rowToPlayer(row);
+                const player = { ...before, deletedAt };
+                this.stampFieldVersions(before, player);
+                return this.playerToRow(player);
+            });
+            if (rows.length === 0) continue;
+
+            const { error: upsertError } = await this.supabase
+                .from('players')
+                .upsert(rows, { onConflict: 'id' });
+            if (upsertError) throw upsertError;
+        }
+    }
+
+    async deleteRowsById(table, ids) {
+        const chunkSize = this.getDeleteChunkSize();
+        for (let start = 0; start < ids.length; start += chunkSize) {
+            const { error } = await this.supabase
+                .from(table)
+                .delete()
+                .in('id', ids.slice(start, start + chunkSize));
+            if (error) throw error;
+        }
+    }
+
+    // Bring a list on Supabase to a backed-up player order the way a snapshot restore does: rows
+    // already there are renumbered and missing players added in one upsert, and only rankings of
+    // players left out of the backup are deleted. Tier breaks keep their place above the same player,
+    // and the restored order is snapshotted so the next save doesn't merge into the one before it.
+    async restoreRankingListToSupabase(listType, playerIds) {
+        const { data, error } = await this.supabase
+            .from('player_rankings')
+            .select('*')
+            .eq('league_id', this.leagueId)
+            .eq('list_type', listType);
+        if (error) throw error;
+
+        const existing = data || [];
+        const backedUp = new Set(playerIds);
+        const missing = playerIds
+            .filter(playerId => !existing.some(r => r.player_id === playerId))
+            .map(playerId => ({
+                id: crypto.randomUUID(),
+                player_id: playerId,
+                list_type: listType,
+                league_id: this.leagueId
+            }));
+
+        this.rankings = [...existing, ...missing].sort((a, b) => (a.rank_index ?? Infinity) - (b.rank_index ?? Infinity));
+        this.tierBreaks = await this.loadTierBreaks(listType);
+        this.rankingSnapshots = await this.loadRankingSnapshots(listType);
+        const items = this.getRankingItemsInOrder(playerIds)
+            .filter(item => this.isTierBreak(item) || backedUp.has(item.player_id));
+        await this.renumberRankings(items);
+
+        await this.deleteRowsById('player_rankings', existing
+            .filter(r => !backedUp.has(r.player_id))
+            .map(r => r.id));
+        await this.snapshotRankings('restore');
     }
 
     // Inline editing
     startInlineEdit(element) {
-        if (this.currentEditingPlayer) return;
+        if (this.currentEditingPlayer || !this.checkWritable()) return;
 
         const field = element.dataset.field;
         const playerId = element.dataset.id;
@@ -1005,6 +5182,17 @@ class DraftTracker {
 
         if (!player) return;
 
+        // Soft lock: warn when a co-owner already has this player open, but don't stop them
+        const editor = this.getPlayerEditor(playerId);
+        if (editor && !confirm(`${player.name} is being edited by ${editor.name}. Edit anyway?`)) {
+            return;
+        }
+
+        if (field === 'position') {
+            this.startPositionEdit(element, player);
+            return;
+        }
+
         const currentValue = player[field] || '';
 
         // Create the appropriate input element
@@ -1027,16 +5215,19 @@ class DraftTracker {
         input.select();
 
         this.currentEditingPlayer = { playerId, field, element, originalValue: currentValue };
+        this.trackPresence();
 
+        // Clear the edit before the save/render so the presence they send no longer shows it
         const saveEdit = () => {
+            if (!this.currentEditingPlayer) return;
             const newValue = input.value.trim();
-            this.updatePlayer(playerId, { [field]: newValue });
             this.currentEditingPlayer = null;
+            this.updatePlayer(playerId, { [field]: newValue });
         };
 
         const cancelEdit = () => {
-            this.render();
             this.currentEditingPlayer = null;
+            this.render();
         };
 
         input.addEventListener('blur', saveEdit);
@@ -1051,6 +5242,54 @@ class DraftTracker {
         });
     }
 
+    // Inline position editing uses the position picker; saves when focus leaves the picker
+    startPositionEdit(element, player) {
+        const picker = document.createElement('div');
+        picker.className = 'position-picker editing';
+        picker.tabIndex = -1;
+        this.renderPositionPicker(picker, this.getPlayerPositions(player), player.primaryPosition);
+
+        element.innerHTML = '';
+        element.appendChild(picker);
+        picker.addEventListener('click', (e) => e.stopPropagation());
+        picker.querySelector('input')?.focus();
+
+        this.currentEditingPlayer = { playerId: player.id, field: 'position', element, originalValue: player.position };
+        this.trackPresence();
+
+        const saveEdit = () => {
+            const { positions, primaryPosition } = this.readPositionPicker(picker);
+            const positionError = this.validatePositions(positions, primaryPosition);
+            this.currentEditingPlayer = null;
+            if (positionError) {
+                alert(positionError);
+                this.render();
+                return;
+            }
+            this.updatePlayer(player.id, {
+                positions,
+                primaryPosition,
+                position: this.formatPositions(positions, primaryPosition)
+            });
+        };
+
+        picker.addEventListener('focusout', (e) => {
+            if (!picker.contains(e.relatedTarget) && this.currentEditingPlayer) {
+                saveEdit();
+            }
+        });
+        picker.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                saveEdit();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.currentEditingPlayer = null;
+                this.render();
+            }
+        });
+    }
+
     // Utility methods
     setSort(field) {
         if (this.sortField === field) {
@@ -1090,6 +5329,7 @@ class DraftTracker {
             // Update form submission to use the select value
             select.addEventListener('change', (e) => {
                 input.value = e.target.value; // Store UUID in hidden input
+                this.updateDraftRosterWarning();
             });
         }
 
@@ -1118,118 +5358,451 @@ class DraftTracker {
         });
     }
 
-    // Real-time sync setup
-    setupRealtimeSync() {
-        if (!this.supabase) {
-            console.log('Real-time sync disabled - Supabase not configured');
-            return;
+    // Real-time sync setup
+    setupRealtimeSync() {
+        if (!this.supabase) {
+            console.log('Real-time sync disabled - Supabase not configured');
+            return;
+        }
+
+        console.log('Setting up real-time sync...');
+
+        // Subscribe to player, owner and ranking changes plus draft clock broadcasts
+        this.realtimeChannel = this.supabase
+            .channel(this.getScopedKey('players'))
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'players',
+                filter: `league_id=eq.${this.leagueId}`
+            }, (payload) => {
+                console.log('Real-time update received:', payload);
+                this.receiveRealtimeChange('players', payload);
+            })
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'owners',
+                filter: `league_id=eq.${this.leagueId}`
+            }, (payload) => {
+                console.log('Real-time owner change received:', payload);
+                this.receiveRealtimeChange('owners', payload);
+            })
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'player_rankings',
+                filter: `league_id=eq.${this.leagueId}`
+            }, (payload) => {
+                console.log('Real-time ranking change received:', payload);
+                this.receiveRealtimeChange('player_rankings', payload);
+            })
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'ranking_tiers',
+                filter: `league_id=eq.${this.leagueId}`
+            }, (payload) => {
+                console.log('Real-time tier change received:', payload);
+                this.receiveRealtimeChange('ranking_tiers', payload);
+            })
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'ranking_snapshots',
+                filter: `league_id=eq.${this.leagueId}`
+            }, (payload) => {
+                this.receiveRealtimeChange('ranking_snapshots', payload);
+            })
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'ranking_lists',
+                filter: `league_id=eq.${this.leagueId}`
+            }, (payload) => {
+                console.log('Real-time ranking list change received:', payload);
+                this.receiveRealtimeChange('ranking_lists', payload);
+            })
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'draft_settings',
+                filter: `league_id=eq.${this.leagueId}`
+            }, (payload) => {
+                console.log('Real-time draft settings change received:', payload);
+                this.receiveRealtimeChange('draft_settings', payload);
+            })
+            .on('broadcast', { event: 'draft-clock' }, ({ payload }) => {
+                this.handleDraftClockBroadcast(payload);
+            })
+            .subscribe((status) => {
+                console.log('Real-time subscription status:', status);
+            });
+    }
+
+    handleRealtimeChange(payload) {
+        // Handle different types of changes
+        if (payload.eventType === 'INSERT') {
+            // New player added by someone else
+            this.handleRealtimeInsert(payload.new);
+        } else if (payload.eventType === 'UPDATE') {
+            // Player updated by someone else
+            this.handleRealtimeUpdate(payload.new);
+        } else if (payload.eventType === 'DELETE') {
+            // Player deleted by someone else
+            this.handleRealtimeDelete(payload.old);
+        }
+    }
+
+    // Changes that arrive mid-drag would re-render the list out from under Sortable,
+    // so they wait until the drop and are applied in arrival order
+    receiveRealtimeChange(table, payload) {
+        // Deletes can't be filtered server-side, but their IDs never collide across leagues
+        if (payload.new?.league_id && payload.new.league_id !== this.leagueId) return;
+
+        if (this.isDraggingRankings) {
+            this.heldRealtimeChanges.push({ table, payload });
+            return;
+        }
+
+        if (table === 'owners') {
+            this.handleRealtimeOwnerChange(payload);
+        } else if (table === 'player_rankings') {
+            this.handleRealtimeRankingChange(payload);
+        } else if (table === 'ranking_tiers') {
+            this.handleRealtimeTierChange(payload);
+        } else if (table === 'ranking_snapshots') {
+            this.handleRealtimeSnapshotChange(payload);
+        } else if (table === 'ranking_lists') {
+            this.handleRealtimeRankingListChange(payload);
+        } else if (table === 'draft_settings') {
+            this.handleRealtimeDraftSettingsChange(payload);
+        } else {
+            this.handleRealtimeChange(payload);
+        }
+    }
+
+    releaseHeldRealtimeChanges() {
+        const held = this.heldRealtimeChanges;
+        this.heldRealtimeChanges = [];
+        held.forEach(({ table, payload }) => this.receiveRealtimeChange(table, payload));
+    }
+
+    handleRealtimeOwnerChange(payload) {
+        if (payload.eventType === 'DELETE') {
+            this.owners = this.owners.filter(o => o.id !== payload.old.id);
+        } else {
+            // The whole row: user_id and is_commissioner decide permissions, not just the name
+            const owner = { ...payload.new };
+            const index = this.owners.findIndex(o => o.id === owner.id);
+            if (index !== -1) {
+                const current = this.owners[index];
+                if (Object.keys(owner).every(key => current[key] === owner[key])) return;
+                this.owners[index] = owner;
+            } else {
+                this.owners.push(owner);
+            }
+            this.owners.sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        // Owner names show up in every player view, so this one is a full render
+        this.saveToStorage();
+        this.updateOwnerSelect();
+        this.renderAuthStatus();
+        this.render();
+        console.log('Owners updated from real-time sync:', this.owners.map(o => o.name));
+    }
+
+    handleRealtimeRankingListChange(payload) {
+        if (payload.eventType === 'DELETE') {
+            this.rankingLists = this.rankingLists.filter(l => l.id !== payload.old.id);
+        } else {
+            const list = this.rowToRankingList(payload.new);
+            const index = this.rankingLists.findIndex(l => l.id === list.id);
+            if (index !== -1) {
+                this.rankingLists[index] = list;
+            } else {
+                this.rankingLists.push(list);
+            }
+        }
+
+        this.saveToStorage();
+        if (this.currentView === 'rankings' && !this.isDraggingRankings) {
+            this.renderRankingsView();
+        }
+    }
+
+    handleRealtimeRankingChange(payload) {
+        const loadedListType = this.rankings[0]?.list_type || this.rankingsView;
+        let changed = false;
+
+        // A change to any other list makes the comparison fetch it again
+        if (payload.eventType === 'DELETE' || payload.new.list_type !== loadedListType) {
+            this.rankingComparison.orders = {};
+            changed = this.currentView === 'compare-rankings';
         }
 
-        console.log('Setting up real-time sync...');
+        if (payload.eventType === 'DELETE') {
+            const before = this.rankings.length;
+            this.rankings = this.rankings.filter(r => r.id !== payload.old.id);
+            changed = changed || this.rankings.length !== before;
+        } else if (payload.new.list_type === loadedListType) {
+            const index = this.rankings.findIndex(r => r.id === payload.new.id);
+            if (index === -1) {
+                this.rankings.push(payload.new);
+                changed = true;
+            } else if (this.rankings[index].rank_index !== payload.new.rank_index ||
+                this.rankings[index].player_id !== payload.new.player_id) {
+                this.rankings[index] = { ...this.rankings[index], ...payload.new };
+                changed = true;
+            }
+        }
 
-        // Subscribe to player changes
-        this.supabase
-            .channel('players')
-            .on('postgres_changes', {
-                event: '*',
-                schema: 'public',
-                table: 'players'
-            }, (payload) => {
-                console.log('Real-time update received:', payload);
-                this.handleRealtimeUpdate(payload);
-            })
-            .subscribe((status) => {
-                console.log('Real-time subscription status:', status);
-            });
+        if (!changed) return;
+        this.rankings.sort((a, b) => a.rank_index - b.rank_index);
+        this.scheduleRankingsRender();
     }
 
-    handleRealtimeUpdate(payload) {
-        // Handle different types of changes
-        if (payload.eventType === 'INSERT') {
-            // New player added by someone else
-            this.handleRealtimeInsert(payload.new);
-        } else if (payload.eventType === 'UPDATE') {
-            // Player updated by someone else
-            this.handleRealtimeUpdate(payload.new);
-        } else if (payload.eventType === 'DELETE') {
-            // Player deleted by someone else
-            this.handleRealtimeDelete(payload.old);
+    handleRealtimeTierChange(payload) {
+        const loadedListType = this.rankings[0]?.list_type || this.rankingsView;
+        let changed = false;
+
+        if (payload.eventType === 'DELETE') {
+            const before = this.tierBreaks.length;
+            this.tierBreaks = this.tierBreaks.filter(t => t.id !== payload.old.id);
+            changed = this.tierBreaks.length !== before;
+        } else if (payload.new.list_type === loadedListType) {
+            const index = this.tierBreaks.findIndex(t => t.id === payload.new.id);
+            if (index === -1) {
+                this.tierBreaks.push(payload.new);
+                changed = true;
+            } else if (this.tierBreaks[index].rank_index !== payload.new.rank_index ||
+                this.tierBreaks[index].label !== payload.new.label) {
+                this.tierBreaks[index] = { ...this.tierBreaks[index], ...payload.new };
+                changed = true;
+            }
         }
+
+        if (!changed) return;
+        this.tierBreaks.sort((a, b) => a.rank_index - b.rank_index);
+        this.scheduleRankingsRender();
+    }
+
+    // A renumbered list arrives as one event per row, so render once the burst settles.
+    // List order shows in the rankings views, and in the Tier column once the list has tiers.
+    scheduleRankingsRender() {
+        clearTimeout(this.rankingsRenderTimer);
+        this.rankingsRenderTimer = setTimeout(() => {
+            if (this.isDraggingRankings) return;
+            if (this.currentView === 'rankings') {
+                this.renderRankingsView();
+            } else if (this.currentView === 'compare-rankings' || this.tierBreaks.length > 0) {
+                this.render();
+            }
+        }, 100);
     }
 
     handleRealtimeInsert(newPlayer) {
-        // Convert Supabase format to our format
-        const player = {
-            id: newPlayer.id.toString(),
-            name: newPlayer.name || '',
-            position: newPlayer.position || '',
-            mlbTeam: newPlayer.team || '',
-            notes: newPlayer.notes || '',
-            fantasyOwner: newPlayer.owner_id || '',
-            drafted: newPlayer.drafted || false,
-            draftNotes: newPlayer.draft_notes || '',
-            addedDate: newPlayer.created_at || new Date().toISOString()
-        };
+        const player = this.rowToPlayer(newPlayer);
 
-        // Check if we already have this player
-        const existingIndex = this.players.findIndex(p => p.id === player.id);
-        if (existingIndex === -1) {
+        // Check if we already have this player, on the board or in the trash
+        if (!this.findAnyPlayer(player.id)) {
             // Add new player
-            this.players.push(player);
+            this.players.push({ ...player, syncedVersions: { ...player.fieldVersions } });
+            this.reconcileTrash();
             this.saveToStorage();
             this.render();
             console.log('Added player from real-time sync:', player.name);
+        } else {
+            // Echo of our own insert (or a replay) - merge rather than ignore so versions line up
+            this.handleRealtimeUpdate(newPlayer);
         }
     }
 
     handleRealtimeUpdate(updatedPlayer) {
-        // Convert Supabase format to our format
-        const playerUpdate = {
-            id: updatedPlayer.id.toString(),
-            name: updatedPlayer.name || '',
-            position: updatedPlayer.position || '',
-            mlbTeam: updatedPlayer.team || '',
-            notes: updatedPlayer.notes || '',
-            fantasyOwner: updatedPlayer.owner_id || '',
-            drafted: updatedPlayer.drafted || false,
-            draftNotes: updatedPlayer.draft_notes || '',
-            addedDate: updatedPlayer.created_at || new Date().toISOString()
-        };
+        const playerUpdate = this.rowToPlayer(updatedPlayer);
 
         // Find and update existing player
-        const existingIndex = this.players.findIndex(p => p.id === playerUpdate.id);
-        if (existingIndex !== -1) {
-            // Only update if the data is actually different
-            const currentPlayer = this.players[existingIndex];
-            let hasChanges = false;
-
-            Object.keys(playerUpdate).forEach(key => {
-                if (currentPlayer[key] !== playerUpdate[key]) {
-                    hasChanges = true;
-                }
-            });
+        const existingPlayer = this.findAnyPlayer(playerUpdate.id);
+        if (existingPlayer) {
+            // Only re-render if the merge actually took something from the remote
+            const { changed, conflicts } = this.mergeRemotePlayer(existingPlayer, playerUpdate);
+            this.reconcileTrash();
+            this.saveToStorage();
 
-            if (hasChanges) {
-                this.players[existingIndex] = { ...currentPlayer, ...playerUpdate };
-                this.saveToStorage();
+            if (changed) {
                 this.render();
                 console.log('Updated player from real-time sync:', playerUpdate.name);
             }
+            if (conflicts.length > 0) {
+                this.showConflictModal(conflicts);
+            }
+        } else {
+            // An update for a player we never saw inserted is still a player we should have
+            this.handleRealtimeInsert(updatedPlayer);
         }
     }
 
     handleRealtimeDelete(deletedPlayer) {
+        // Hard deletes only come from purging, so the player is usually already in the trash
         const playerId = deletedPlayer.id.toString();
-        const existingIndex = this.players.findIndex(p => p.id === playerId);
+        const existing = this.findAnyPlayer(playerId);
 
-        if (existingIndex !== -1) {
-            this.players.splice(existingIndex, 1);
+        if (existing) {
+            this.players = this.players.filter(p => p.id !== playerId);
+            this.trash = this.trash.filter(p => p.id !== playerId);
             this.saveToStorage();
             this.render();
             console.log('Deleted player from real-time sync:', deletedPlayer.name);
         }
     }
 
+    // Presence - who else is on the board, what they're viewing and which player they're editing
+    loadPresenceIdentity() {
+        const stored = localStorage.getItem('baseballDraftTrackerUser');
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (e) {
+                console.error('Error loading presence identity:', e);
+            }
+        }
+        const identity = { id: crypto.randomUUID(), name: `Guest ${Math.floor(1000 + Math.random() * 9000)}` };
+        localStorage.setItem('baseballDraftTrackerUser', JSON.stringify(identity));
+        return identity;
+    }
+
+    renamePresenceIdentity() {
+        const name = prompt('Name shown to others on the board:', this.presenceIdentity.name);
+        if (!name || !name.trim()) return;
+
+        this.presenceIdentity.name = name.trim();
+        localStorage.setItem('baseballDraftTrackerUser', JSON.stringify(this.presenceIdentity));
+        this.lastPresencePayload = null;
+        this.trackPresence();
+    }
+
+    setupPresence() {
+        if (!this.supabase) return;
+
+        this.presenceChannel = this.supabase
+            .channel(this.getScopedKey('board-presence'), { config: { presence: { key: this.clientId } } })
+            .on('presence', { event: 'sync' }, () => {
+                this.handlePresenceSync();
+            })
+            .subscribe((status) => {
+                console.log('Presence subscription status:', status);
+                if (status === 'SUBSCRIBED') {
+                    this.trackPresence();
+                }
+            });
+    }
+
+    // Only sends when the view or edit target changed, so it's cheap to call from render()
+    trackPresence() {
+        if (!this.presenceChannel) return;
+
+        const payload = {
+            clientId: this.clientId,
+            browserId: this.presenceIdentity.id,
+            userId: this.authUser?.id || this.presenceIdentity.id,
+            name: this.getActor().name,
+            view: this.currentView,
+            editing: this.currentEditingPlayer ?
+                { playerId: this.currentEditingPlayer.playerId, field: this.currentEditingPlayer.field } :
+                null
+        };
+
+        const serialized = JSON.stringify(payload);
+        if (serialized === this.lastPresencePayload) return;
+        this.lastPresencePayload = serialized;
+
+        this.presenceChannel.track({ ...payload, onlineAt: new Date().toISOString() });
+    }
+
+    handlePresenceSync() {
+        const state = this.presenceChannel.presenceState();
+        const knownClients = new Set(this.presenceUsers.map(user => user.clientId));
+        this.presenceUsers = Object.values(state)
+            .map(metas => metas[metas.length - 1])
+            .filter(Boolean)
+            .sort((a, b) => (a.onlineAt || '').localeCompare(b.onlineAt || ''));
+
+        // The clock is only broadcast when it changes, so someone who just joined hears it from the
+        // controller. Our own first sync doesn't count; our stored clock may be the stale one.
+        const joined = knownClients.size > 0 &&
+            this.presenceUsers.some(user => user.clientId !== this.clientId && !knownClients.has(user.clientId));
+        if (joined && this.isClockController()) {
+            this.broadcastDraftClock();
+        }
+
+        this.renderPresence();
+        this.applyPresenceMarkers();
+    }
+
+    // Another client's inline edit on this player, if any
+    getPlayerEditor(playerId) {
+        return this.presenceUsers.find(user =>
+            user.clientId !== this.clientId && user.editing?.playerId === playerId) || null;
+    }
+
+    getPresenceInitials(name) {
+        return name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('') || '?';
+    }
+
+    getPresenceColor(name) {
+        let hash = 0;
+        for (const char of name) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return `hsl(${hash}, 55%, 45%)`;
+    }
+
+    renderPresence() {
+        const container = document.getElementById('presenceList');
+        if (!container) return;
+
+        const viewSelect = document.getElementById('viewSelect');
+        const viewLabel = (view) =>
+            Array.from(viewSelect?.options || []).find(option => option.value === view)?.textContent || view;
+
+        container.innerHTML = this.presenceUsers.map(user => {
+            const isMe = user.clientId === this.clientId;
+            const editingPlayer = user.editing ? this.players.find(p => p.id === user.editing.playerId) : null;
+            const activity = editingPlayer ?
+                `Editing ${editingPlayer.name}` :
+                `Viewing ${viewLabel(user.view)}`;
+
+            return `
+                <span class="presence-user ${isMe ? 'is-me' : ''}" title="${this.escapeHtml(`${user.name}${isMe ? ' (you, click to rename)' : ''} - ${activity}`)}">
+                    <span class="presence-avatar" style="background-color: ${this.getPresenceColor(user.name)}">${this.escapeHtml(this.getPresenceInitials(user.name))}</span>
+                    <span class="presence-name">${this.escapeHtml(isMe ? `${user.name} (you)` : user.name)}</span>
+                    <span class="presence-activity">${this.escapeHtml(activity)}</span>
+                </span>
+            `;
+        }).join('');
+
+        container.querySelector('.presence-user.is-me')?.addEventListener('click', () => {
+            this.renamePresenceIdentity();
+        });
+    }
+
+    // Mark cells other people are editing; re-applied after every render
+    applyPresenceMarkers() {
+        document.querySelectorAll('.being-edited').forEach(element => {
+            element.classList.remove('being-edited');
+            element.removeAttribute('data-edited-by');
+        });
+
+        this.presenceUsers.forEach(user => {
+            if (user.clientId === this.clientId || !user.editing) return;
+            document.querySelectorAll(`[data-field="${user.editing.field}"][data-id="${user.editing.playerId}"]`).forEach(element => {
+                element.classList.add('being-edited');
+                element.dataset.editedBy = `Being edited by ${user.name}`;
+            });
+        });
+    }
+
     // Ensure all players have proper UUIDs (convert any invalid IDs)
     ensureAllPlayersHaveUUIDs() {
         let updated = false;
@@ -1256,50 +5829,26 @@ class DraftTracker {
         }
     }
 
-    // Auto-sync local changes to Supabase
-    autoSyncToSupabase() {
-        if (!this.supabase) return;
-
-        // Use the same logic as backupToSupabase but silent
-        const supabaseData = this.players.map(player => {
-            // Ensure ID is a valid UUID - convert old timestamp IDs if needed
-            let playerId = player.id;
-            if (!playerId || typeof playerId === 'string' && /^\d+$/.test(playerId)) {
-                // Old timestamp ID - generate new UUID
-                playerId = crypto.randomUUID();
-                // Update the local player object too
-                player.id = playerId;
-            }
-
-            return {
-                id: playerId,
-                name: player.name,
-                position: player.position || null,
-                team: player.mlbTeam || null,
-                notes: player.notes || null,
-                owner_id: player.fantasyOwner || null,
-                drafted: player.drafted || false,
-                draft_notes: player.draftNotes || null,
-                updated_at: new Date().toISOString()
-            };
-        });
-
-        // Process each player individually (same as backupToSupabase)
-        supabaseData.forEach(async (playerData) => {
-            try {
-                await this.supabase
-                    .from('players')
-                    .upsert(playerData, { onConflict: 'id' });
-            } catch (err) {
-                console.error('Silent sync error for player:', playerData.name, err);
-            }
-        });
-    }
+    // Snapshot first, then everything goes to the trash where it can still be restored
+    // The snapshot is the only way back for rankings, so Clear All stops if it can't be built in full
+    // or kept. It's saved in this browser beside the trash as well as downloaded; Restore offers it.
+    async clearAllData() {
+        const count = this.players.length;
+        let bundle;
+        try {
+            bundle = await this.buildExportBundle({ requireRankings: true });
+            localStorage.setItem(this.getScopedKey('baseballDraftTrackerClearSnapshot'), JSON.stringify(bundle));
+        } catch (error) {
+            console.error('Error saving the Clear All snapshot:', error);
+            this.setSyncStatus('Clear All cancelled - could not save a snapshot first', 'error');
+            alert(`Nothing was cleared: the snapshot of the board could not be saved (${error.message || error}).`);
+            return;
+        }
+        this.downloadFile(JSON.stringify(bundle, null, 2),
+            `baseball-draft-snapshot-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
 
-    clearAllData() {
-        this.players = [];
-        this.saveToStorage();
-        this.render();
+        this.trashPlayers(this.players.map(p => p.id), { recordHistory: false });
+        this.setSyncStatus(`Moved ${count} players to the trash`, 'success');
     }
 
     escapeHtml(text) {
@@ -1758,7 +6307,7 @@ class DraftTracker {
         const cardRow = document.createElement('tr');
         cardRow.className = 'player-card-row';
         cardRow.innerHTML = `
-            <td colspan="6" class="player-card-cell">
+            <td colspan="7" class="player-card-cell">
                 <div class="player-card" data-player-id="${playerId}">
                     <div class="player-card-header">
                         <div class="player-card-info">
@@ -1768,6 +6317,7 @@ class DraftTracker {
                                 <span class="mlb-team">${this.escapeHtml(player.mlbTeam || '')}</span>
                                 ${player.drafted ? `<span class="fantasy-owner">${this.getOwnerDisplay(player.fantasyOwner)}</span>` : '<span class="draft-status available">Available</span>'}
                             </div>
+                            ${this.renderRankSparkline(playerId)}
                         </div>
                         <button class="card-close-btn" onclick="window.draftTracker.closePlayerCard('${playerId}')">×</button>
                     </div>
@@ -1813,6 +6363,12 @@ class DraftTracker {
         console.log('🎯 renderRankingsView called, current rankings:', this.rankings.length, 'view:', this.rankingsView);
         const container = document.querySelector('.table-container');
 
+        // A list deleted elsewhere (or another user's personal list) falls back to Overall
+        if (!this.getRankingList(this.rankingsView)) {
+            this.rankingsView = 'overall';
+        }
+        const isCustomList = this.rankingLists.some(list => list.id === this.rankingsView);
+
         // Load rankings data if not already loaded or wrong type
         if (this.rankings.length === 0 || this.rankings[0]?.list_type !== this.rankingsView) {
             // Only show loading if we haven't tried to load this type yet
@@ -1863,17 +6419,18 @@ class DraftTracker {
                 '<h2>Player Rankings</h2>' +
                 '<div class="rankings-actions">' +
                     '<button id="initializeRankingsBtn" class="btn btn-primary">Initialize Rankings</button>' +
+                    '<button id="newRankingListBtn" class="btn btn-secondary">New List</button>' +
+                    '<button id="cloneRankingListBtn" class="btn btn-secondary">Clone List</button>' +
+                    '<button id="compareRankingListBtn" class="btn btn-secondary">Compare</button>' +
+                    '<button id="rankingHistoryBtn" class="btn btn-secondary">History</button>' +
+                    (isCustomList ? '<button id="deleteRankingListBtn" class="btn btn-danger">Delete List</button>' : '') +
                     '<button id="clearRankingsBtn" class="btn btn-danger">Clear Rankings</button>' +
                 '</div>' +
             '</div>' +
             '<div class="rankings-filters">' +
                 '<div class="filter-group">' +
-                    '<label for="rankingsTypeSelect">List Type:</label>' +
-                    '<select id="rankingsTypeSelect">' +
-                        '<option value="overall"' + (this.rankingsView === 'overall' ? ' selected' : '') + '>Overall</option>' +
-                        '<option value="hitter"' + (this.rankingsView === 'hitter' ? ' selected' : '') + '>Hitters</option>' +
-                        '<option value="pitcher"' + (this.rankingsView === 'pitcher' ? ' selected' : '') + '>Pitchers</option>' +
-                    '</select>' +
+                    '<label for="rankingsTypeSelect">List:</label>' +
+                    '<select id="rankingsTypeSelect">' + this.getRankingListOptions(this.rankingsView) + '</select>' +
                 '</div>' +
                 '<div class="filter-group">' +
                     '<input type="text" id="rankingsSearchInput" placeholder="Search players..." value="' + this.escapeHtml(this.rankingsSearchTerm || '') + '">' +
@@ -1896,12 +6453,28 @@ class DraftTracker {
             html += '<div class="empty-state"><p>No rankings found.<br>Click "Initialize Rankings" to create a default ranking order.</p></div>';
         } else {
             html += '<div class="rankings-items" id="rankingsItems">';
-            filteredRankings.forEach(ranking => {
+            // rank_index is fractional, so the number shown is the place in the full list
+            const rankNumbers = new Map(this.rankings.map((ranking, index) => [ranking.id, index + 1]));
+            const tiers = new Map(this.getTiers().map(tier => [tier.id, tier]));
+            const playerTiers = this.getPlayerTiers();
+            this.getVisibleRankingItems().forEach(ranking => {
+                if (this.isTierBreak(ranking)) {
+                    const tier = tiers.get(ranking.id);
+                    html += '<div class="ranking-item tier-break" data-id="' + ranking.id + '" style="border-left-color: ' + tier.color + ';">' +
+                        '<div class="tier-break-label" data-id="' + ranking.id + '" title="Rename tier">' + this.escapeHtml(tier.label) + '</div>' +
+                        '<span class="tier-break-count">' + tier.playerIds.length + ' players</span>' +
+                        '<button class="tier-remove-btn" data-id="' + ranking.id + '" title="Remove tier break">×</button>' +
+                        '<div class="ranking-handle">⋮⋮</div>' +
+                    '</div>';
+                    return;
+                }
+
                 const player = this.players.find(p => p.id === ranking.player_id);
-                if (!player) return;
+                const tier = playerTiers.get(ranking.player_id);
 
-                html += '<div class="ranking-item" data-id="' + ranking.id + '" data-rank="' + ranking.rank_index + '">' +
-                    '<div class="ranking-number">' + ranking.rank_index + '</div>' +
+                html += '<div class="ranking-item" data-id="' + ranking.id + '" data-rank="' + rankNumbers.get(ranking.id) + '"' +
+                    (tier ? ' style="border-left-color: ' + tier.color + ';"' : '') + '>' +
+                    '<div class="ranking-number">' + rankNumbers.get(ranking.id) + '</div>' +
                     '<div class="ranking-content">' +
                         '<div class="ranking-player-name">' + this.escapeHtml(player.name) + '</div>' +
                         '<div class="ranking-player-details">' +
@@ -1909,6 +6482,7 @@ class DraftTracker {
                             '<span class="mlb-team">' + this.escapeHtml(player.mlbTeam || '') + '</span>' +
                         '</div>' +
                     '</div>' +
+                    '<button class="tier-split-btn" data-id="' + ranking.id + '" title="Start a new tier here">+ Tier</button>' +
                     '<div class="ranking-handle">⋮⋮</div>' +
                 '</div>';
             });
@@ -1945,22 +6519,427 @@ class DraftTracker {
             '</div>' +
         '</div>';
 
-        container.innerHTML = html;
+        container.innerHTML = html;
+
+        // Bind rankings events
+        this.bindRankingsEvents();
+
+        // Initialize drag-and-drop if we have rankings
+        if (filteredRankings.length > 0) {
+            this.initializeDragAndDrop();
+        }
+    }
+
+    // Ranking comparison - two lists side by side, with how far each player moves between them
+    getComparisonHighlightCount() {
+        return 5;
+    }
+
+    // Ranks are places in each full list. A positive delta means the right-hand list has the player higher.
+    compareRankingOrders(leftOrder, rightOrder) {
+        const leftRanks = new Map(leftOrder.map((playerId, index) => [playerId, index + 1]));
+        const rightRanks = new Map(rightOrder.map((playerId, index) => [playerId, index + 1]));
+        const deltas = new Map();
+        leftRanks.forEach((leftRank, playerId) => {
+            if (rightRanks.has(playerId)) {
+                deltas.set(playerId, leftRank - rightRanks.get(playerId));
+            }
+        });
+
+        const moves = [...deltas.entries()];
+        const count = this.getComparisonHighlightCount();
+        return {
+            leftRanks,
+            rightRanks,
+            deltas,
+            risers: moves.filter(([, delta]) => delta > 0).sort((a, b) => b[1] - a[1]).slice(0, count).map(([playerId]) => playerId),
+            fallers: moves.filter(([, delta]) => delta < 0).sort((a, b) => a[1] - b[1]).slice(0, count).map(([playerId]) => playerId),
+            missingFromLeft: rightOrder.filter(playerId => !leftRanks.has(playerId)),
+            missingFromRight: leftOrder.filter(playerId => !rightRanks.has(playerId))
+        };
+    }
+
+    formatRankDelta(delta) {
+        if (delta > 0) return `▲${delta}`;
+        if (delta < 0) return `▼${-delta}`;
+        return '=';
+    }
+
+    async renderRankingComparison() {
+        const container = document.querySelector('.table-container');
+        const comparisonState = this.rankingComparison;
+        // Either side can also be a snapshot of the loaded list, for this week vs last week
+        const getSnapshot = id => this.rankingSnapshots.find(s => `snapshot:${s.id}` === id);
+        const getSourceName = id => getSnapshot(id) ? this.getRankingSnapshotLabel(getSnapshot(id)) : this.getRankingList(id).name;
+        if (!this.getRankingList(comparisonState.left) && !getSnapshot(comparisonState.left)) {
+            comparisonState.left = 'overall';
+        }
+        if (!this.getRankingList(comparisonState.right) && !getSnapshot(comparisonState.right)) {
+            comparisonState.right = this.getRankingLists().find(list => list.id !== comparisonState.left)?.id || comparisonState.left;
+        }
+        const { left, right } = comparisonState;
+        const snapshotOptions = selectedId => this.rankingSnapshots.length === 0 ? '' :
+            `<optgroup label="Snapshots">${[...this.rankingSnapshots].reverse().map(snapshot => `
+                <option value="snapshot:${snapshot.id}"${selectedId === `snapshot:${snapshot.id}` ? ' selected' : ''}>${this.escapeHtml(this.getRankingSnapshotLabel(snapshot))}</option>
+            `).join('')}</optgroup>`;
+
+        // Both lists load before anything draws; a render that started later wins
+        const renderId = (this.comparisonRenderId || 0) + 1;
+        this.comparisonRenderId = renderId;
+        if (!container.querySelector('.ranking-compare')) {
+            container.innerHTML = '<div class="empty-state"><p>Loading rankings...</p></div>';
+        }
+
+        const [leftOrder, rightOrder] = await Promise.all([this.getComparisonOrder(left), this.getComparisonOrder(right)]);
+        if (renderId !== this.comparisonRenderId || this.currentView !== 'compare-rankings') return;
+
+        const comparison = this.compareRankingOrders(leftOrder, rightOrder);
+        const playersById = new Map(this.players.map(p => [p.id, p]));
+        const risers = new Set(comparison.risers);
+        const fallers = new Set(comparison.fallers);
+        const leftName = getSourceName(left);
+        const rightName = getSourceName(right);
+        const isShown = playerId => playersById.has(playerId) && !(this.hideDraftedInRankings && playersById.get(playerId).drafted);
+        const playerName = playerId => this.escapeHtml(playersById.get(playerId)?.name || 'Unknown player');
+
+        // Each side shows where the player sits in the other list
+        const renderColumn = (order, otherRanks, otherName, side) => {
+            const rows = order.filter(isShown).map(playerId => {
+                const player = playersById.get(playerId);
+                const delta = comparison.deltas.get(playerId);
+                const rank = (side === 'left' ? comparison.leftRanks : comparison.rightRanks).get(playerId);
+                const highlight = risers.has(playerId) ? ' riser' : fallers.has(playerId) ? ' faller' : '';
+                let movement;
+                if (delta === undefined) {
+                    movement = `<span class="compare-missing">Not in ${this.escapeHtml(otherName)}</span>`;
+                } else {
+                    // Both sides show the move from the left list to the right, like the highlights
+                    movement = `<span class="compare-delta ${delta > 0 ? 'up' : delta < 0 ? 'down' : ''}" title="#${otherRanks.get(playerId)} in ${this.escapeHtml(otherName)}">${this.formatRankDelta(delta)}</span>`;
+                }
+
+                return `
+                    <div class="compare-item${highlight}${player.drafted ? ' drafted' : ''}">
+                        <span class="ranking-number">${rank}</span>
+                        <span class="compare-name">${this.escapeHtml(player.name)}</span>
+                        <span class="position-badge">${this.escapeHtml(player.position || '')}</span>
+                        ${movement}
+                    </div>
+                `;
+            });
+            return rows.length > 0 ? rows.join('') : '<div class="empty-state"><p>No rankings in this list.</p></div>';
+        };
+
+        const renderMovers = (playerIds) => playerIds.length === 0 ? '<li>None</li>' : playerIds.map(playerId => `
+            <li>${playerName(playerId)} <span class="compare-ranks">#${comparison.leftRanks.get(playerId)} → #${comparison.rightRanks.get(playerId)}</span> ${this.formatRankDelta(comparison.deltas.get(playerId))}</li>
+        `).join('');
+
+        const renderMissing = (playerIds) => playerIds.filter(isShown).length === 0 ? '<li>None</li>' :
+            playerIds.filter(isShown).map(playerId => `<li>${playerName(playerId)}</li>`).join('');
+
+        container.innerHTML = `
+            <div class="ranking-compare">
+                <div class="rankings-controls">
+                    <div class="rankings-header">
+                        <h2>Compare Rankings</h2>
+                    </div>
+                    <div class="rankings-filters">
+                        <div class="filter-group">
+                            <select id="compareLeftSelect">${this.getRankingListOptions(left)}${snapshotOptions(left)}</select>
+                        </div>
+                        <button id="compareSwapBtn" class="btn btn-secondary btn-sm" title="Swap lists">⇄</button>
+                        <div class="filter-group">
+                            <select id="compareRightSelect">${this.getRankingListOptions(right)}${snapshotOptions(right)}</select>
+                        </div>
+                        <div class="filter-group">
+                            <label class="checkbox-label">
+                                <input type="checkbox" id="compareHideDraftedToggle"${this.hideDraftedInRankings ? ' checked' : ''}>
+                                Hide drafted players
+                            </label>
+                        </div>
+                    </div>
+                </div>
+                <div class="compare-summary">
+                    <div class="compare-summary-group risers">
+                        <h4>Biggest risers in ${this.escapeHtml(rightName)}</h4>
+                        <ul>${renderMovers(comparison.risers)}</ul>
+                    </div>
+                    <div class="compare-summary-group fallers">
+                        <h4>Biggest fallers in ${this.escapeHtml(rightName)}</h4>
+                        <ul>${renderMovers(comparison.fallers)}</ul>
+                    </div>
+                    <div class="compare-summary-group">
+                        <h4>Only in ${this.escapeHtml(leftName)} (${comparison.missingFromRight.length})</h4>
+                        <ul>${renderMissing(comparison.missingFromRight)}</ul>
+                    </div>
+                    <div class="compare-summary-group">
+                        <h4>Only in ${this.escapeHtml(rightName)} (${comparison.missingFromLeft.length})</h4>
+                        <ul>${renderMissing(comparison.missingFromLeft)}</ul>
+                    </div>
+                </div>
+                <div class="rankings-container">
+                    <div class="rankings-column">
+                        <h3>${this.escapeHtml(leftName)}</h3>
+                        <div class="rankings-list">${renderColumn(leftOrder, comparison.rightRanks, rightName, 'left')}</div>
+                    </div>
+                    <div class="rankings-column">
+                        <h3>${this.escapeHtml(rightName)}</h3>
+                        <div class="rankings-list">${renderColumn(rightOrder, comparison.leftRanks, leftName, 'right')}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('compareLeftSelect').addEventListener('change', (e) => {
+            comparisonState.left = e.target.value;
+            comparisonState.orders = {};
+            this.renderRankingComparison();
+        });
+
+        document.getElementById('compareRightSelect').addEventListener('change', (e) => {
+            comparisonState.right = e.target.value;
+            comparisonState.orders = {};
+            this.renderRankingComparison();
+        });
+
+        document.getElementById('compareSwapBtn').addEventListener('click', () => {
+            this.rankingComparison = { left: right, right: left, orders: comparisonState.orders };
+            this.renderRankingComparison();
+        });
+
+        document.getElementById('compareHideDraftedToggle').addEventListener('change', (e) => {
+            this.hideDraftedInRankings = e.target.checked;
+            this.renderRankingComparison();
+        });
+    }
+
+    // Ranking lists - the built-in shared lists plus named lists from the ranking_lists table.
+    // A list's id is the list_type its player_rankings rows carry.
+    getBuiltInRankingLists() {
+        return [
+            { id: 'overall', name: 'Overall', pool: 'overall', shared: true },
+            { id: 'hitter', name: 'Hitters', pool: 'hitter', shared: true },
+            { id: 'pitcher', name: 'Pitchers', pool: 'pitcher', shared: true }
+        ];
+    }
+
+    // Personal lists belong to the signed-in account, or to this browser when nobody signs in
+    getRankingListUserId() {
+        return this.authUser?.id || this.presenceIdentity.id;
+    }
+
+    // Shared lists plus this user's personal ones
+    getRankingLists() {
+        const userId = this.getRankingListUserId();
+        return [
+            ...this.getBuiltInRankingLists(),
+            ...this.rankingLists.filter(list => list.shared || list.createdBy === userId)
+        ];
+    }
+
+    getRankingList(listId) {
+        return this.getRankingLists().find(list => list.id === listId) || null;
+    }
+
+    // <option>s for a list picker, shared lists first
+    getRankingListOptions(selectedId) {
+        const rankingLists = this.getRankingLists();
+        const sharedLists = rankingLists.filter(list => list.shared);
+        const personalLists = rankingLists.filter(list => !list.shared);
+        const listOption = list => '<option value="' + this.escapeHtml(list.id) + '"' + (selectedId === list.id ? ' selected' : '') + '>' +
+            this.escapeHtml(list.name) + (list.createdByName && list.shared ? ' (' + this.escapeHtml(list.createdByName) + ')' : '') + '</option>';
+
+        return '<optgroup label="Shared">' + sharedLists.map(listOption).join('') + '</optgroup>' +
+            (personalLists.length > 0 ? '<optgroup label="My Lists">' + personalLists.map(listOption).join('') + '</optgroup>' : '');
+    }
+
+    isOwnRankingList(listId) {
+        const list = this.rankingLists.find(l => l.id === listId);
+        return !!list && list.createdBy === this.getRankingListUserId();
+    }
+
+    rankingListToRow(list) {
+        return {
+            id: list.id,
+            name: list.name,
+            pool: list.pool,
+            shared: list.shared,
+            created_by: list.createdBy,
+            created_by_name: list.createdByName,
+            league_id: this.leagueId,
+            created_at: list.createdAt
+        };
+    }
+
+    rowToRankingList(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            pool: row.pool || 'overall',
+            shared: !!row.shared,
+            createdBy: row.created_by,
+            createdByName: row.created_by_name || '',
+            createdAt: row.created_at
+        };
+    }
+
+    async loadRankingLists() {
+        if (!this.supabase) return;
+
+        try {
+            const { data, error } = await this.supabase
+                .from('ranking_lists')
+                .select('*')
+                .eq('league_id', this.leagueId)
+                .order('name');
+
+            if (error) throw error;
+            this.rankingLists = (data || []).map(row => this.rowToRankingList(row));
+        } catch (error) {
+            console.error('Error loading ranking lists:', error);
+        }
+    }
+
+    // New list, or a clone when a source list is given
+    showRankingListModal(sourceListId = null) {
+        if (!this.checkWritable()) return;
+        const source = sourceListId ? this.getRankingList(sourceListId) : null;
+
+        document.getElementById('rankingListForm').reset();
+        document.getElementById('rankingListModalTitle').textContent = source ? `Clone ${source.name}` : 'New Ranking List';
+        document.getElementById('rankingListName').value = source ? `${source.name} (copy)` : '';
+        document.getElementById('rankingListPool').value = source ? source.pool : 'overall';
+        document.getElementById('rankingListSource').innerHTML = `
+            <option value="">Start empty</option>
+            ${this.getRankingLists().map(list => `
+                <option value="${this.escapeHtml(list.id)}" ${list.id === sourceListId ? 'selected' : ''}>Copy of ${this.escapeHtml(list.name)}</option>
+            `).join('')}
+        `;
+
+        document.getElementById('rankingListModal').style.display = 'block';
+        document.getElementById('rankingListName').focus();
+    }
+
+    async handleCreateRankingList(e) {
+        e.preventDefault();
+        if (!this.supabase) {
+            this.setSyncStatus('Supabase not available', 'error');
+            return;
+        }
+
+        const name = document.getElementById('rankingListName').value.trim();
+        if (!name) {
+            alert('Please enter a list name');
+            return;
+        }
+
+        const sourceListId = document.getElementById('rankingListSource').value;
+        const list = {
+            id: crypto.randomUUID(),
+            name,
+            pool: document.getElementById('rankingListPool').value,
+            shared: document.getElementById('rankingListShared').checked,
+            createdBy: this.getRankingListUserId(),
+            createdByName: this.getActor().name,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            this.setSyncStatus('Creating ranking list...', 'loading');
+
+            const { error } = await this.supabase
+                .from('ranking_lists')
+                .insert(this.rankingListToRow(list));
+            if (error) throw error;
+
+            // A clone starts as an exact copy of the source order
+            if (sourceListId) {
+                const order = await this.getRankingOrder(sourceListId);
+                if (order.length > 0) {
+                    const { error: insertError } = await this.supabase
+                        .from('player_rankings')
+                        .insert(order.map((playerId, index) => ({
+                            player_id: playerId,
+                            list_type: list.id,
+                            rank_index: index + 1,
+                            league_id: this.leagueId
+                        })));
+                    if (insertError) throw insertError;
+                }
+            }
+        } catch (error) {
+            console.error('Error creating ranking list:', error);
+            this.setSyncStatus('Error creating ranking list', 'error');
+            return;
+        }
+
+        this.rankingLists.push(list);
+        this.saveToStorage();
+        this.closeAllModals();
+        this.setSyncStatus(`Created ${name}`, 'success');
+
+        this.rankingsView = list.id;
+        this.rankings = [];
+        await this.loadRankings(list.id);
+    }
+
+    async deleteRankingList(listId) {
+        const list = this.rankingLists.find(l => l.id === listId);
+        if (!list || !this.supabase) return;
+        if (!this.checkPermission('delete-ranking-list', { listType: listId })) return;
+
+        if (!confirm(`Delete the ${list.name} ranking list? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const { error: rankingsError } = await this.supabase
+                .from('player_rankings')
+                .delete()
+                .eq('league_id', this.leagueId)
+                .eq('list_type', listId);
+            if (rankingsError) throw rankingsError;
 
-        // Bind rankings events
-        this.bindRankingsEvents();
+            const { error: tiersError } = await this.supabase
+                .from('ranking_tiers')
+                .delete()
+                .eq('league_id', this.leagueId)
+                .eq('list_type', listId);
+            if (tiersError) throw tiersError;
 
-        // Initialize drag-and-drop if we have rankings
-        if (filteredRankings.length > 0) {
-            this.initializeDragAndDrop();
+            const { error: snapshotsError } = await this.supabase
+                .from('ranking_snapshots')
+                .delete()
+                .eq('league_id', this.leagueId)
+                .eq('list_type', listId);
+            if (snapshotsError) throw snapshotsError;
+
+            const { error } = await this.supabase
+                .from('ranking_lists')
+                .delete()
+                .eq('id', listId);
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error deleting ranking list:', error);
+            this.setSyncStatus('Error deleting ranking list', 'error');
+            return;
         }
+
+        this.rankingLists = this.rankingLists.filter(l => l.id !== listId);
+        this.saveToStorage();
+        this.setSyncStatus(`Deleted ${list.name}`, 'success');
+
+        this.rankingsView = 'overall';
+        this.rankings = [];
+        await this.loadRankings('overall');
     }
 
     // Rankings data management
     async loadRankings(listType) {
         if (!this.supabase) {
-            console.warn('Supabase not available for rankings');
-            this.rankings = [];
+            console.warn('Supabase not available for rankings, using restored local rankings');
+            this.rankings = [...(this.localRankings[listType] || [])];
+            this.tierBreaks = [];
+            this.rankingSnapshots = [];
             return;
         }
 
@@ -1968,6 +6947,7 @@ class DraftTracker {
             const { data, error } = await this.supabase
                 .from('player_rankings')
                 .select('*')
+                .eq('league_id', this.leagueId)
                 .eq('list_type', listType)
                 .order('rank_index', { ascending: true });
 
@@ -1977,6 +6957,10 @@ class DraftTracker {
             } else {
                 this.rankings = data || [];
             }
+            // The list that was loaded until now may have been edited since the comparison fetched it
+            this.rankingComparison.orders = {};
+            this.tierBreaks = await this.loadTierBreaks(listType);
+            this.rankingSnapshots = await this.loadRankingSnapshots(listType);
 
             // Re-render rankings view
             if (this.currentView === 'rankings') {
@@ -1985,21 +6969,43 @@ class DraftTracker {
         } catch (error) {
             console.error('Error loading rankings:', error);
             this.rankings = [];
+            this.tierBreaks = [];
+            this.rankingSnapshots = [];
+        }
+    }
+
+    async loadTierBreaks(listType) {
+        try {
+            const { data, error } = await this.supabase
+                .from('ranking_tiers')
+                .select('*')
+                .eq('league_id', this.leagueId)
+                .eq('list_type', listType)
+                .order('rank_index', { ascending: true });
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            // A database without the ranking_tiers table still ranks, just without tiers
+            console.error('Error loading tier breaks:', error);
+            return [];
         }
     }
 
     async initializeRankings(listType) {
+        if (!this.checkWritable()) return;
         if (!this.supabase) {
             this.setSyncStatus('Supabase not available', 'error');
             return;
         }
 
-        // Determine which players to include based on list type
+        // Determine which players to include based on the list's player pool
+        const pool = this.getRankingList(listType)?.pool || listType;
         let playersToRank = [...this.players];
-        if (listType === 'hitter') {
-            playersToRank = playersToRank.filter(p => !p.position || !p.position.includes('P'));
-        } else if (listType === 'pitcher') {
-            playersToRank = playersToRank.filter(p => p.position && p.position.includes('P'));
+        if (pool === 'hitter') {
+            playersToRank = playersToRank.filter(p => this.isHitter(p));
+        } else if (pool === 'pitcher') {
+            playersToRank = playersToRank.filter(p => this.isPitcher(p));
         }
 
         // Sort alphabetically for default order
@@ -2009,7 +7015,8 @@ class DraftTracker {
         const rankingData = playersToRank.map((player, index) => ({
             player_id: player.id,
             list_type: listType,
-            rank_index: index + 1
+            rank_index: index + 1,
+            league_id: this.leagueId
         }));
 
         try {
@@ -2024,6 +7031,7 @@ class DraftTracker {
                 this.setSyncStatus('Rankings initialized successfully', 'success');
                 // Reload rankings
                 await this.loadRankings(listType);
+                this.snapshotRankings();
             }
         } catch (error) {
             console.error('Error initializing rankings:', error);
@@ -2031,79 +7039,557 @@ class DraftTracker {
         }
     }
 
-    async updateRankingsOrder(newOrder) {
-        if (!this.supabase || !newOrder.length) return;
+    // Fractional ranking - a drag writes one new rank_index between the moved row's neighbours,
+    // so only that row changes, every id stays put and the list is never half-saved
+    getRankIndexBetween(before, after) {
+        if (before === null && after === null) return 1;
+        if (before === null) return after - 1;
+        if (after === null) return before + 1;
+        return (before + after) / 2;
+    }
 
-        console.log('Updating rankings order:', newOrder);
+    // Neighbours closer than this get the list renumbered before a move lands between them
+    getMinRankGap() {
+        return 1e-6;
+    }
 
-        // Get the current filtered rankings to understand what we're reordering
-        const filteredRankings = this.currentFilteredRankings || this.getFilteredRankings();
-        const listType = this.rankingsView;
+    // Tiers - a tier break is a ranking_tiers row with its own rank_index, so it sits in the list
+    // between two rankings and drags like one. Each break starts a tier that runs to the next.
+    isTierBreak(item) {
+        return !item.player_id;
+    }
 
-        // Simple approach: just reorder the visible rankings and update their positions
-        // This works because the drag-and-drop only affects visible rankings
-        const reorderedRankings = newOrder.map(id => filteredRankings.find(r => r.id === id)).filter(Boolean);
+    // Rankings and tier breaks in list order
+    getRankingItems(rankings = this.rankings) {
+        return [...rankings, ...this.tierBreaks].sort((a, b) => a.rank_index - b.rank_index);
+    }
 
-        if (reorderedRankings.length === 0) {
-            this.setSyncStatus('No rankings found to reorder', 'error');
+    // What the rankings list shows, so drag indexes line up with the rendered rows
+    getVisibleRankingItems() {
+        const playerIds = new Set(this.players.map(p => p.id));
+        return this.getRankingItems(this.getFilteredRankings().filter(r => playerIds.has(r.player_id)));
+    }
+
+    getTierColors() {
+        return ['#27ae60', '#2980b9', '#8e44ad', '#d35400', '#c0392b', '#16a085', '#7f8c8d', '#b7950b'];
+    }
+
+    // Tiers of the loaded list, top down; rankings above the first break are the first tier.
+    // A list without breaks has no tiers at all rather than one big one.
+    getTiers() {
+        if (this.tierBreaks.length === 0) return [];
+
+        const tiers = [];
+        this.getRankingItems().forEach(item => {
+            if (this.isTierBreak(item)) {
+                tiers.push({ id: item.id, label: item.label, playerIds: [] });
+                return;
+            }
+            if (tiers.length === 0) {
+                tiers.push({ id: null, label: '', playerIds: [] });
+            }
+            tiers[tiers.length - 1].playerIds.push(item.player_id);
+        });
+
+        const colors = this.getTierColors();
+        return tiers.map((tier, index) => ({
+            ...tier,
+            number: index + 1,
+            label: tier.label || `Tier ${index + 1}`,
+            color: colors[index % colors.length]
+        }));
+    }
+
+    // player ID -> tier, for the Tier column
+    getPlayerTiers() {
+        const playerTiers = new Map();
+        this.getTiers().forEach(tier => {
+            tier.playerIds.forEach(playerId => playerTiers.set(playerId, tier));
+        });
+        return playerTiers;
+    }
+
+    // The highest tier with anyone left on the board, with those players in ranking order
+    getCurrentTier() {
+        const playersById = new Map(this.players.map(p => [p.id, p]));
+        for (const tier of this.getTiers()) {
+            const available = tier.playerIds.map(id => playersById.get(id)).filter(p => p && !p.drafted);
+            if (available.length > 0) return { ...tier, available };
+        }
+        return null;
+    }
+
+    // A tier with this many players left (or fewer) gets the running-out warning
+    getTierWarningThreshold() {
+        return 2;
+    }
+
+    // Start a new tier at the given ranking, splitting the tier it was in
+    async addTierBreak(rankingId) {
+        if (!this.checkWritable() || !this.supabase) return;
+
+        const items = this.getRankingItems();
+        const index = items.findIndex(item => item.id === rankingId);
+        if (index === -1 || (index > 0 && this.isTierBreak(items[index - 1]))) return;
+
+        const tierBreak = {
+            id: crypto.randomUUID(),
+            list_type: this.rankingsView,
+            rank_index: 0,
+            label: '',
+            league_id: this.leagueId,
+            created_at: new Date().toISOString()
+        };
+
+        try {
+            let before = items[index - 1] || null;
+            let after = items[index];
+            if (before && after.rank_index - before.rank_index < this.getMinRankGap()) {
+                await this.renumberRankings(items);
+                before = this.findRankingItem(before.id);
+                after = this.findRankingItem(after.id);
+            }
+            tierBreak.rank_index = this.getRankIndexBetween(before?.rank_index ?? null, after.rank_index);
+
+            const { error } = await this.supabase
+                .from('ranking_tiers')
+                .insert(tierBreak);
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error adding tier break:', error);
+            this.setSyncStatus('Error adding tier break', 'error');
             return;
         }
 
-        // Get all rankings for this type to rebuild the complete list
-        const allRankingsForType = this.rankings.filter(r => r.list_type === listType);
+        // Realtime may have delivered our own insert already
+        if (!this.tierBreaks.some(t => t.id === tierBreak.id)) {
+            this.tierBreaks.push(tierBreak);
+            this.tierBreaks.sort((a, b) => a.rank_index - b.rank_index);
+        }
+        this.render();
+    }
 
-        // Create a set of player_ids that are in the reordered rankings to avoid duplicates
-        const reorderedPlayerIds = new Set(reorderedRankings.map(r => r.player_id));
+    async renameTierBreak(tierId) {
+        if (!this.checkWritable() || !this.supabase) return;
+        const tier = this.getTiers().find(t => t.id === tierId);
+        if (!tier) return;
 
-        // Get non-filtered rankings, excluding any that are already in the reordered set
-        const nonFilteredRankings = allRankingsForType.filter(ranking =>
-            !reorderedPlayerIds.has(ranking.player_id) &&
-            !filteredRankings.some(fr => fr.id === ranking.id)
-        );
+        const label = prompt('Tier label (leave blank for the tier number):', tier.label);
+        if (label === null) return;
 
-        // Create new complete order: reordered visible rankings first, then non-filtered rankings
-        const finalOrder = [...reorderedRankings, ...nonFilteredRankings];
+        try {
+            const { error } = await this.supabase
+                .from('ranking_tiers')
+                .update({ label: label.trim(), updated_at: new Date().toISOString() })
+                .eq('id', tierId);
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error renaming tier:', error);
+            this.setSyncStatus('Error renaming tier', 'error');
+            return;
+        }
 
-        // Create the new ranking data
-        const newRankingData = finalOrder.map((ranking, index) => ({
-            player_id: ranking.player_id,
-            list_type: listType,
-            rank_index: index + 1,
-            updated_at: new Date().toISOString()
-        }));
+        const tierBreak = this.tierBreaks.find(t => t.id === tierId);
+        if (tierBreak) tierBreak.label = label.trim();
+        this.render();
+    }
+
+    // Removing a break merges its players into the tier above
+    async removeTierBreak(tierId) {
+        if (!this.checkWritable() || !this.supabase) return;
 
         try {
-            // Delete all rankings for this list_type, then insert new ones
-            const { error: deleteError } = await this.supabase
-                .from('player_rankings')
+            const { error } = await this.supabase
+                .from('ranking_tiers')
                 .delete()
-                .eq('list_type', listType);
+                .eq('id', tierId);
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error removing tier break:', error);
+            this.setSyncStatus('Error removing tier break', 'error');
+            return;
+        }
 
-            if (deleteError) {
-                console.error('Error deleting old rankings:', deleteError);
-                this.setSyncStatus('Error saving rankings order', 'error');
-                return;
+        this.tierBreaks = this.tierBreaks.filter(t => t.id !== tierId);
+        this.render();
+    }
+
+    async moveRanking(itemId, newIndex) {
+        if (!this.supabase) return;
+
+        const listType = this.rankingsView;
+        const moved = this.findRankingItem(itemId);
+        if (!moved) {
+            this.setSyncStatus('No rankings found to reorder', 'error');
+            return;
+        }
+
+        // Neighbours come from the visible list, so hidden rows keep their place
+        const visible = (this.currentFilteredRankings || this.getVisibleRankingItems()).filter(item => item.id !== itemId);
+        const before = visible[newIndex - 1] || null;
+        const after = visible[newIndex] || null;
+
+        const previousRankings = this.rankings.map(r => ({ ...r }));
+        const previousTierBreaks = this.tierBreaks.map(t => ({ ...t }));
+        const previousNeighbours = this.getRankingNeighbours(itemId);
+
+        try {
+            await this.placeRankingItem(itemId, before, after);
+
+            // Undo covers player moves; a tier break is quicker to drag back than to undo
+            if (!this.isTierBreak(moved)) {
+                this.recordEvent('rank-move', null,
+                    { listType, rankingId: itemId, ...previousNeighbours },
+                    { listType, rankingId: itemId, ...this.getRankingNeighbours(itemId) }
+                );
+                this.snapshotRankings();
             }
+            this.setSyncStatus('Rankings order saved successfully', 'success');
+        } catch (error) {
+            // Put the list back the way it was; the drag only ever moved the DOM
+            console.error('Error updating rankings order:', error);
+            this.rankings = previousRankings;
+            this.tierBreaks = previousTierBreaks;
+            this.setSyncStatus('Error saving rankings order - move undone', 'error');
+        }
 
-            // Insert the new rankings in correct order
-            const { data, error: insertError } = await this.supabase
-                .from('player_rankings')
-                .insert(newRankingData)
-                .select();
+        if (this.currentView === 'rankings') {
+            this.renderRankingsView();
+        }
+    }
+
+    // Write one ranking or tier break's rank_index between two neighbours (null for either end)
+    async placeRankingItem(itemId, before, after) {
+        if (before && after && after.rank_index - before.rank_index < this.getMinRankGap()) {
+            await this.renumberRankings(this.getRankingItems());
+            before = this.findRankingItem(before.id);
+            after = this.findRankingItem(after.id);
+        }
+
+        const item = this.findRankingItem(itemId);
+        const rankIndex = this.getRankIndexBetween(before?.rank_index ?? null, after?.rank_index ?? null);
+        const { error } = await this.supabase
+            .from(this.isTierBreak(item) ? 'ranking_tiers' : 'player_rankings')
+            .update({ rank_index: rankIndex, updated_at: new Date().toISOString() })
+            .eq('id', itemId);
+
+        if (error) throw error;
+
+        item.rank_index = rankIndex;
+        this.rankings.sort((a, b) => a.rank_index - b.rank_index);
+        this.tierBreaks.sort((a, b) => a.rank_index - b.rank_index);
+    }
+
+    // Rewrite a whole list as 1..n. Rankings and tier breaks live in separate tables, so this is
+    // one upsert for each; the rankings go first since they're what the list is for.
+    async renumberRankings(items) {
+        const updatedAt = new Date().toISOString();
+        const rows = items.map((item, index) => ({ ...item, rank_index: index + 1, updated_at: updatedAt }));
+        const rankings = rows.filter(row => !this.isTierBreak(row));
+        const tierBreaks = rows.filter(row => this.isTierBreak(row));
+
+        const { error } = await this.supabase
+            .from('player_rankings')
+            .upsert(rankings, { onConflict: 'id' });
+
+        if (error) throw error;
+        this.rankings = rankings;
+
+        if (tierBreaks.length > 0) {
+            const { error: tiersError } = await this.supabase
+                .from('ranking_tiers')
+                .upsert(tierBreaks, { onConflict: 'id' });
+
+            if (tiersError) throw tiersError;
+            this.tierBreaks = tierBreaks;
+        }
+    }
 
-            if (insertError) {
-                console.error('Error inserting new rankings:', insertError);
-                this.setSyncStatus('Error saving rankings order', 'error');
+    findRankingItem(itemId) {
+        return this.rankings.find(r => r.id === itemId) || this.tierBreaks.find(t => t.id === itemId) || null;
+    }
+
+    // The items either side of one in the full list, recorded so undo can put it back between them
+    getRankingNeighbours(itemId) {
+        const items = this.getRankingItems();
+        const index = items.findIndex(item => item.id === itemId);
+        return { beforeId: items[index - 1]?.id || null, afterId: items[index + 1]?.id || null };
+    }
+
+    // Put a moved ranking back beside its recorded neighbours (used by undo/redo)
+    async restoreRankingsOrder(state) {
+        const { listType } = state;
+        if (this.rankingsView !== listType || this.rankings[0]?.list_type !== listType) {
+            this.rankingsView = listType;
+            await this.loadRankings(listType);
+        }
+        if (!this.supabase) return;
+
+        try {
+            if (state.rankingId) {
+                if (!this.findRankingItem(state.rankingId)) return;
+
+                // Just above the row that was below it; if that row is gone, just below the one above
+                const items = this.getRankingItems().filter(item => item.id !== state.rankingId);
+                let index = items.findIndex(item => item.id === state.afterId);
+                if (index === -1) {
+                    const beforeIndex = items.findIndex(item => item.id === state.beforeId);
+                    index = beforeIndex !== -1 ? beforeIndex + 1 : items.length;
+                }
+                await this.placeRankingItem(state.rankingId, items[index - 1] || null, items[index] || null);
             } else {
-                // Update local rankings data
-                this.rankings = data || [];
-                this.rankings.sort((a, b) => a.rank_index - b.rank_index);
-                this.setSyncStatus('Rankings order saved successfully', 'success');
+                // Moves recorded before tiers carry the whole player order instead
+                await this.renumberRankings(this.getRankingItemsInOrder(state.order));
             }
+            this.snapshotRankings();
         } catch (error) {
-            console.error('Error updating rankings order:', error);
+            console.error('Error restoring rankings order:', error);
             this.setSyncStatus('Error saving rankings order', 'error');
         }
+
+        if (this.currentView === 'rankings') {
+            this.renderRankingsView();
+        }
+    }
+
+    // A list in the given player order. Tier breaks stay above the same player, and rankings
+    // missing from the order keep their place at the end.
+    getRankingItemsInOrder(playerIds) {
+        const breaksAbove = new Map(); // ranking id -> tier breaks directly above it
+        let pendingBreaks = [];
+        this.getRankingItems().forEach(item => {
+            if (this.isTierBreak(item)) {
+                pendingBreaks.push(item);
+            } else {
+                if (pendingBreaks.length > 0) breaksAbove.set(item.id, pendingBreaks);
+                pendingBreaks = [];
+            }
+        });
+
+        const ordered = playerIds
+            .map(playerId => this.rankings.find(r => r.player_id === playerId))
+            .filter(Boolean);
+        this.rankings.forEach(ranking => {
+            if (!ordered.includes(ranking)) ordered.push(ranking);
+        });
+
+        return [...ordered.flatMap(ranking => [...(breaksAbove.get(ranking.id) || []), ranking]), ...pendingBreaks];
+    }
+
+    // Ranking snapshots - the player order of a list after each save, with who saved it.
+    // Saves by the same person in quick succession update one snapshot rather than adding one per drag.
+    getSnapshotMergeMinutes() {
+        return 15;
+    }
+
+    // How many of a list's most recent snapshots are loaded for the history and sparklines
+    getSnapshotLimit() {
+        return 60;
+    }
+
+    async loadRankingSnapshots(listType) {
+        try {
+            const { data, error } = await this.supabase
+                .from('ranking_snapshots')
+                .select('*')
+                .eq('league_id', this.leagueId)
+                .eq('list_type', listType)
+                .order('created_at', { ascending: false })
+                .range(0, this.getSnapshotLimit() - 1);
+
+            if (error) throw error;
+            return (data || []).reverse();
+        } catch (error) {
+            // Like tiers, history is optional; ranking works without the table
+            console.error('Error loading ranking snapshots:', error);
+            return [];
+        }
+    }
+
+    // Record the loaded list's order. Never throws - the save it follows has already landed.
+    async snapshotRankings(reason = 'save') {
+        const listType = this.rankings[0]?.list_type;
+        if (!this.supabase || !listType) return;
+
+        const playerIds = this.rankings.map(r => r.player_id);
+        const latest = this.rankingSnapshots[this.rankingSnapshots.length - 1];
+        if (reason === 'save' && latest && latest.player_ids.join() === playerIds.join()) return;
+
+        const actor = this.getActor();
+        const createdBy = this.getRankingListUserId();
+        const now = new Date();
+        const canMerge = reason === 'save' && latest?.reason === 'save' && latest.created_by === createdBy &&
+            now - new Date(latest.created_at) < this.getSnapshotMergeMinutes() * 60 * 1000;
+        const snapshot = {
+            id: canMerge ? latest.id : crypto.randomUUID(),
+            list_type: listType,
+            player_ids: playerIds,
+            reason,
+            created_by: createdBy,
+            created_by_name: actor.name,
+            league_id: this.leagueId,
+            created_at: now.toISOString()
+        };
+
+        try {
+            const { error } = await this.supabase
+                .from('ranking_snapshots')
+                .upsert(snapshot, { onConflict: 'id' });
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error saving ranking snapshot:', error);
+            return;
+        }
+
+        this.rankingSnapshots = [...this.rankingSnapshots.filter(s => s.id !== snapshot.id), snapshot];
+    }
+
+    handleRealtimeSnapshotChange(payload) {
+        const loadedListType = this.rankings[0]?.list_type || this.rankingsView;
+
+        if (payload.eventType === 'DELETE') {
+            this.rankingSnapshots = this.rankingSnapshots.filter(s => s.id !== payload.old.id);
+        } else if (payload.new.list_type === loadedListType) {
+            this.rankingSnapshots = [...this.rankingSnapshots.filter(s => s.id !== payload.new.id), payload.new]
+                .sort((a, b) => a.created_at.localeCompare(b.created_at))
+                .slice(-this.getSnapshotLimit());
+        }
+        // Nothing on screen follows snapshots live; the next card or history opened reads the new list
+    }
+
+    getRankingSnapshotLabel(snapshot) {
+        const listName = this.getRankingList(snapshot.list_type)?.name || snapshot.list_type;
+        return `${listName}, ${new Date(snapshot.created_at).toLocaleString()}`;
+    }
+
+    // A player's place in each loaded snapshot, oldest first; null where they weren't ranked
+    getPlayerRankHistory(playerId) {
+        return this.rankingSnapshots.map(snapshot => {
+            const index = snapshot.player_ids.indexOf(playerId);
+            return { createdAt: snapshot.created_at, rank: index === -1 ? null : index + 1 };
+        });
+    }
+
+    // Small inline chart of a player's rank over the loaded snapshots, #1 at the top
+    renderRankSparkline(playerId) {
+        const points = this.getPlayerRankHistory(playerId)
+            .map((point, index) => ({ ...point, index }))
+            .filter(point => point.rank !== null);
+        if (points.length < 2) return '';
+
+        const width = 120;
+        const height = 28;
+        const ranks = points.map(point => point.rank);
+        const best = Math.min(...ranks);
+        const worst = Math.max(...ranks);
+        const lastIndex = this.rankingSnapshots.length - 1;
+        const coordinates = points.map(point => {
+            const x = lastIndex > 0 ? (point.index / lastIndex) * width : 0;
+            const y = worst > best ? ((point.rank - best) / (worst - best)) * (height - 4) + 2 : height / 2;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+        const first = points[0];
+        const last = points[points.length - 1];
+        const listName = this.getRankingList(this.rankingSnapshots[0].list_type)?.name || '';
+
+        return `
+            <div class="rank-sparkline" title="${this.escapeHtml(listName)} rank over ${this.rankingSnapshots.length} snapshots (best #${best}, worst #${worst})">
+                <span class="rank-sparkline-label">${this.escapeHtml(listName)} #${first.rank}</span>
+                <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                    <polyline points="${coordinates.join(' ')}" fill="none" stroke="#3498db" stroke-width="2" />
+                    <circle cx="${coordinates[coordinates.length - 1].split(',')[0]}" cy="${coordinates[coordinates.length - 1].split(',')[1]}" r="2.5" fill="#3498db" />
+                </svg>
+                <span class="rank-sparkline-label">#${last.rank}</span>
+            </div>
+        `;
+    }
+
+    showRankingHistoryModal() {
+        const listName = this.getRankingList(this.rankingsView)?.name || this.rankingsView;
+        const snapshots = [...this.rankingSnapshots].reverse();
+        const playersById = new Map(this.players.map(p => [p.id, p]));
+        const list = document.getElementById('rankingHistoryList');
+
+        document.getElementById('rankingHistoryTitle').textContent = `${listName} History`;
+        const mergeHelp = `<p class="form-help">Saves by the same person within ${this.getSnapshotMergeMinutes()} minutes share one snapshot. A restore always starts a new one.</p>`;
+        list.innerHTML = snapshots.length === 0 ?
+            `<p class="form-help">No snapshots yet. One is saved each time the list is reordered.</p>${mergeHelp}` :
+            mergeHelp + snapshots.map((snapshot, index) => `
+                <div class="snapshot-item">
+                    <div class="snapshot-info">
+                        <div class="snapshot-title">
+                            ${new Date(snapshot.created_at).toLocaleString()}
+                            ${index === 0 ? '<span class="snapshot-badge">Current</span>' : ''}
+                            ${snapshot.reason === 'restore' ? '<span class="snapshot-badge">Restored</span>' : ''}
+                        </div>
+                        <div class="snapshot-meta">${this.escapeHtml(snapshot.created_by_name || 'Unknown')} - ${snapshot.player_ids.length} players</div>
+                        <div class="snapshot-preview">${snapshot.player_ids.slice(0, 5).map(playerId => this.escapeHtml(playersById.get(playerId)?.name || '?')).join(', ')}${snapshot.player_ids.length > 5 ? '…' : ''}</div>
+                    </div>
+                    <div class="actions">
+                        <button type="button" class="btn btn-secondary btn-sm snapshot-compare-btn" data-id="${snapshot.id}">Compare</button>
+                        ${index > 0 ? `<button type="button" class="btn btn-warning btn-sm snapshot-restore-btn" data-id="${snapshot.id}">Restore</button>` : ''}
+                    </div>
+                </div>
+            `).join('');
+
+        list.querySelectorAll('.snapshot-restore-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.restoreRankingSnapshot(btn.dataset.id);
+            });
+        });
+
+        // Then vs now, in the comparison view
+        list.querySelectorAll('.snapshot-compare-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.rankingComparison = { left: `snapshot:${btn.dataset.id}`, right: this.rankingsView, orders: {} };
+                this.closeAllModals();
+                this.currentView = 'compare-rankings';
+                document.getElementById('viewSelect').value = 'compare-rankings';
+                this.render();
+            });
+        });
+
+        document.getElementById('rankingHistoryModal').style.display = 'block';
+    }
+
+    // Put the list back in a snapshot's order. Players dropped from the list since are ranked again
+    // if they're still on the board, and the restore is itself snapshotted so it can be reversed.
+    async restoreRankingSnapshot(snapshotId) {
+        if (!this.checkWritable() || !this.supabase) return;
+        const snapshot = this.rankingSnapshots.find(s => s.id === snapshotId);
+        if (!snapshot) return;
+
+        if (!confirm(`Restore ${this.getRankingSnapshotLabel(snapshot)}? The current order stays in the history.`)) {
+            return;
+        }
+
+        const playerIds = new Set(this.players.map(p => p.id));
+        const missing = snapshot.player_ids
+            .filter(playerId => playerIds.has(playerId) && !this.rankings.some(r => r.player_id === playerId))
+            .map(playerId => ({
+                id: crypto.randomUUID(),
+                player_id: playerId,
+                list_type: snapshot.list_type,
+                league_id: this.leagueId
+            }));
+
+        try {
+            this.setSyncStatus('Restoring rankings...', 'loading');
+            await this.snapshotRankings();
+            this.rankings = [...this.rankings, ...missing];
+            // The upsert inserts the re-added rows along with renumbering the rest
+            await this.renumberRankings(this.getRankingItemsInOrder(snapshot.player_ids));
+        } catch (error) {
+            console.error('Error restoring ranking snapshot:', error);
+            this.setSyncStatus('Error restoring rankings', 'error');
+            await this.loadRankings(snapshot.list_type);
+            return;
+        }
+
+        await this.snapshotRankings('restore');
+        this.closeAllModals();
+        this.setSyncStatus('Rankings restored', 'success');
+        this.render();
     }
 
     async clearRankings(listType) {
@@ -2112,7 +7598,10 @@ class DraftTracker {
             return;
         }
 
-        if (!confirm(`Are you sure you want to clear all ${listType} rankings? This cannot be undone.`)) {
+        if (!this.checkPermission('clear-rankings', { listType })) return;
+
+        const listName = this.getRankingList(listType)?.name || listType;
+        if (!confirm(`Are you sure you want to clear all ${listName} rankings? This cannot be undone.`)) {
             return;
         }
 
@@ -2120,15 +7609,24 @@ class DraftTracker {
             const { error } = await this.supabase
                 .from('player_rankings')
                 .delete()
+                .eq('league_id', this.leagueId)
                 .eq('list_type', listType);
 
-            if (error) {
-                console.error('Error clearing rankings:', error);
+            // Tier breaks have nothing to separate once the list is empty
+            const { error: tiersError } = await this.supabase
+                .from('ranking_tiers')
+                .delete()
+                .eq('league_id', this.leagueId)
+                .eq('list_type', listType);
+
+            if (error || tiersError) {
+                console.error('Error clearing rankings:', error || tiersError);
                 this.setSyncStatus('Error clearing rankings', 'error');
             } else {
                 this.setSyncStatus('Rankings cleared successfully', 'success');
                 // Clear local data and reload
                 this.rankings = [];
+                this.tierBreaks = [];
                 this.renderRankingsView();
             }
         } catch (error) {
@@ -2189,6 +7687,31 @@ class DraftTracker {
             });
         }
 
+        // Named ranking lists
+        document.getElementById('newRankingListBtn')?.addEventListener('click', () => {
+            this.showRankingListModal();
+        });
+
+        document.getElementById('cloneRankingListBtn')?.addEventListener('click', () => {
+            this.showRankingListModal(this.rankingsView);
+        });
+
+        document.getElementById('rankingHistoryBtn')?.addEventListener('click', () => {
+            this.showRankingHistoryModal();
+        });
+
+        document.getElementById('compareRankingListBtn')?.addEventListener('click', () => {
+            this.rankingComparison.left = this.rankingsView;
+            this.rankingComparison.orders = {};
+            this.currentView = 'compare-rankings';
+            document.getElementById('viewSelect').value = 'compare-rankings';
+            this.render();
+        });
+
+        document.getElementById('deleteRankingListBtn')?.addEventListener('click', () => {
+            this.deleteRankingList(this.rankingsView);
+        });
+
         // Clear rankings button
         const clearBtn = document.getElementById('clearRankingsBtn');
         if (clearBtn) {
@@ -2196,6 +7719,25 @@ class DraftTracker {
                 this.clearRankings(this.rankingsView);
             });
         }
+
+        // Tier breaks
+        document.querySelectorAll('.tier-split-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.addTierBreak(btn.dataset.id);
+            });
+        });
+
+        document.querySelectorAll('.tier-break-label').forEach(label => {
+            label.addEventListener('click', () => {
+                this.renameTierBreak(label.dataset.id);
+            });
+        });
+
+        document.querySelectorAll('.tier-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.removeTierBreak(btn.dataset.id);
+            });
+        });
     }
 
     // Drag and drop initialization
@@ -2203,31 +7745,30 @@ class DraftTracker {
         const rankingsItems = document.getElementById('rankingsItems');
         if (!rankingsItems) return;
 
-        // Store reference to current filtered rankings for drag-and-drop
-        this.currentFilteredRankings = this.getFilteredRankings();
+        // Store reference to the rendered items (rankings and tier breaks) for drag-and-drop
+        this.currentFilteredRankings = this.getVisibleRankingItems();
 
         // Initialize SortableJS
         this.sortableInstance = new Sortable(rankingsItems, {
             handle: '.ranking-handle',
+            disabled: this.isReadOnly(), // Archived seasons keep their final rankings
             animation: 150,
             ghostClass: 'ranking-ghost',
             chosenClass: 'ranking-chosen',
             dragClass: 'ranking-drag',
-            onEnd: (evt) => {
-                // Get new order of ranking IDs from the DOM
-                const rankingItems = Array.from(rankingsItems.children);
-                const newOrder = rankingItems.map(item => item.dataset.id);
-
-                // Update rankings order in database
-                this.updateRankingsOrder(newOrder);
-
-                // Update UI rank numbers immediately
-                rankingItems.forEach((item, index) => {
-                    const rankNumber = item.querySelector('.ranking-number');
-                    if (rankNumber) {
-                        rankNumber.textContent = index + 1;
+            onStart: () => {
+                this.isDraggingRankings = true;
+            },
+            onEnd: async (evt) => {
+                // Save the one moved row, then apply anything that came in during the drag
+                try {
+                    if (evt.oldIndex !== evt.newIndex) {
+                        await this.moveRanking(evt.item.dataset.id, evt.newIndex);
                     }
-                });
+                } finally {
+                    this.isDraggingRankings = false;
+                    this.releaseHeldRealtimeChanges();
+                }
             }
         });
     }
@@ -2290,6 +7831,7 @@ class DraftTracker {
                 <table id="playersTable">
                     <thead>
                         <tr>
+                            <th>Tier</th>
                             <th>Name</th>
                             <th>Position</th>
                             <th>MLB Team</th>
@@ -2311,3 +7853,7 @@ class DraftTracker {
 document.addEventListener('DOMContentLoaded', () => {
     window.draftTracker = new DraftTracker();
 });
+
+if (typeof module !== 'undefined') {
+    module.exports = { DraftTracker };
+}
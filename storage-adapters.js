@@ -0,0 +1,455 @@
+// Storage backends for the draft tracker
+//
+// DraftTracker talks to its backend through the part of the supabase-js client it uses:
+//   from(table)   - select / insert / upsert / update / delete, narrowed with eq / gt / not('in'),
+//                   ordered with order / range, and awaited for { data, error }
+//   channel(name) - on('postgres_changes' | 'broadcast' | 'presence'), subscribe, send, track, presenceState
+//
+// Supabase provides that natively. The backends below provide it over plain JSON tables:
+//   LocalStorageBackend - this browser only; tabs see each other's changes through a BroadcastChannel
+//   MockServerBackend   - mock-server.js on a laptop, so several browsers can share a board offline
+//
+// Pick one with window.STORAGE_CONFIG = { backend: 'supabase' | 'local' | 'mock-server', url } in a
+// config file, or ?storage=local / ?storage=mock-server in the page URL.
+
+const STORAGE_TABLES = ['leagues', 'players', 'owners', 'player_rankings', 'ranking_lists', 'ranking_tiers', 'ranking_snapshots', 'draft_settings', 'draft_events'];
+
+// Column defaults, as in supabase/leagues.sql - every table but leagues belongs to a league
+function getColumnDefaults(table) {
+    return table === 'leagues' ? {} : { league_id: 'default' };
+}
+
+// Like the trigger in supabase/updated-at.sql, the server stamps players.updated_at on every
+// write so incremental loads never depend on a browser's clock. One request shares one stamp.
+function getServerStamps(table) {
+    return table === 'players' ? { updated_at: new Date().toISOString() } : {};
+}
+
+function createEmptyTables() {
+    return Object.fromEntries(STORAGE_TABLES.map(table => [table, []]));
+}
+
+function matchesFilters(row, filters) {
+    return filters.every(filter => {
+        const value = row[filter.column];
+        if (filter.op === 'eq') return value === filter.value;
+        if (filter.op === 'gt') return value !== null && value !== undefined && value > filter.value;
+        if (filter.op === 'in') return filter.value.includes(String(value));
+        if (filter.op === 'not-in') return !filter.value.includes(String(value));
+        return true;
+    });
+}
+
+// Supabase orders nulls last when ascending
+function compareRows(a, b, order) {
+    for (const { column, ascending } of order) {
+        const aValue = a[column];
+        const bValue = b[column];
+        if (aValue === bValue) continue;
+        if (aValue === null || aValue === undefined) return ascending ? 1 : -1;
+        if (bValue === null || bValue === undefined) return ascending ? -1 : 1;
+        if (aValue < bValue) return ascending ? -1 : 1;
+        return ascending ? 1 : -1;
+    }
+    return 0;
+}
+
+function projectRow(row, columns) {
+    if (!columns || columns === '*') return { ...row };
+    return Object.fromEntries(columns.split(',').map(c => c.trim()).map(column => [column, row[column]]));
+}
+
+// Realtime row filters use the Supabase 'column=eq.value' form; like Supabase, deletes aren't filtered
+function matchesChangeFilter(filter, change) {
+    const [, column, value] = (filter || '').match(/^(\w+)=eq\.(.*)$/) || [];
+    if (!column || change.eventType === 'DELETE') return true;
+    return String(change.new[column]) === value;
+}
+
+// Run one query request against in-memory tables. Mutates tables and returns the rows
+// to hand back plus the change events to publish.
+function runTableQuery(tables, request) {
+    const rows = tables[request.table];
+    if (!rows) {
+        return { error: { message: `Unknown table "${request.table}"` } };
+    }
+
+    // Rows stored before a column existed read back with its default, like an added Postgres column
+    const defaults = getColumnDefaults(request.table);
+    rows.forEach(row => {
+        Object.entries(defaults).forEach(([column, value]) => {
+            if (!(column in row)) row[column] = value;
+        });
+    });
+
+    const filters = request.filters || [];
+    const stamps = getServerStamps(request.table);
+    const changes = [];
+    let result = [];
+
+    if (request.action === 'select') {
+        result = rows.filter(row => matchesFilters(row, filters));
+    } else if (request.action === 'insert' || request.action === 'upsert') {
+        const conflictColumns = (request.onConflict || 'id').split(',').map(c => c.trim());
+        request.values.forEach(requestValues => {
+            const values = { ...requestValues, ...stamps };
+            const existing = request.action === 'upsert' ?
+                rows.find(row => conflictColumns.every(column => row[column] === values[column])) :
+                null;
+
+            if (existing) {
+                const old = { ...existing };
+                Object.assign(existing, values);
+                changes.push({ eventType: 'UPDATE', table: request.table, new: { ...existing }, old });
+                result.push(existing);
+            } else {
+                if (values.id && rows.some(row => row.id === values.id)) {
+                    throw new Error(`duplicate key value violates unique constraint "${request.table}_pkey"`);
+                }
+                const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...defaults, ...values };
+                rows.push(row);
+                changes.push({ eventType: 'INSERT', table: request.table, new: { ...row }, old: {} });
+                result.push(row);
+            }
+        });
+    } else if (request.action === 'update') {
+        rows.filter(row => matchesFilters(row, filters)).forEach(row => {
+            const old = { ...row };
+            Object.assign(row, request.values, stamps);
+            changes.push({ eventType: 'UPDATE', table: request.table, new: { ...row }, old });
+            result.push(row);
+        });
+    } else if (request.action === 'delete') {
+        result = rows.filter(row => matchesFilters(row, filters));
+        tables[request.table] = rows.filter(row => !result.includes(row));
+        result.forEach(row => {
+            changes.push({ eventType: 'DELETE', table: request.table, new: {}, old: { ...row } });
+        });
+    }
+
+    if (request.order?.length) {
+        result = [...result].sort((a, b) => compareRows(a, b, request.order));
+    }
+    if (request.range) {
+        result = result.slice(request.range[0], request.range[1] + 1);
+    }
+
+    // Like Supabase, writes only return rows when .select() was chained
+    const returnRows = request.action === 'select' || request.returning;
+    return {
+        data: returnRows ? result.map(row => projectRow(row, request.columns)) : null,
+        changes
+    };
+}
+
+// Thenable query builder; the backend decides where the request runs
+class TableQuery {
+    constructor(backend, table) {
+        this.backend = backend;
+        this.request = { table, action: 'select', filters: [], order: [] };
+    }
+
+    select(columns = '*') {
+        this.request.columns = columns;
+        if (this.request.action !== 'select') {
+            this.request.returning = true;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.request.action = 'insert';
+        this.request.values = Array.isArray(values) ? values : [values];
+        return this;
+    }
+
+    upsert(values, { onConflict = 'id' } = {}) {
+        this.request.action = 'upsert';
+        this.request.values = Array.isArray(values) ? values : [values];
+        this.request.onConflict = onConflict;
+        return this;
+    }
+
+    update(values) {
+        this.request.action = 'update';
+        this.request.values = values;
+        return this;
+    }
+
+    delete() {
+        this.request.action = 'delete';
+        return this;
+    }
+
+    eq(column, value) {
+        this.request.filters.push({ op: 'eq', column, value });
+        return this;
+    }
+
+    gt(column, value) {
+        this.request.filters.push({ op: 'gt', column, value });
+        return this;
+    }
+
+    in(column, values) {
+        this.request.filters.push({ op: 'in', column, value: values.map(String) });
+        return this;
+    }
+
+    // Only the not('column', 'in', '(a,b,c)') form is supported
+    not(column, operator, value) {
+        if (operator !== 'in') {
+            throw new Error(`not('${operator}') is not supported by the ${this.backend.name} backend`);
+        }
+        const values = String(value).replace(/^\(|\)$/g, '').split(',').map(v => v.trim()).filter(Boolean);
+        this.request.filters.push({ op: 'not-in', column, value: values });
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.request.order.push({ column, ascending });
+        return this;
+    }
+
+    range(from, to) {
+        this.request.range = [from, to];
+        return this;
+    }
+
+    then(resolve, reject) {
+        return this.backend.execute(this.request)
+            .catch(error => ({ data: null, error: { message: error.message || String(error) } }))
+            .then(resolve, reject);
+    }
+}
+
+// Realtime channel over whatever message transport the backend has
+class StorageChannel {
+    constructor(backend, name, options = {}) {
+        this.backend = backend;
+        this.name = name;
+        this.presenceKey = options.config?.presence?.key || crypto.randomUUID();
+        this.handlers = [];
+        this.presence = {}; // presence key -> [payload]
+    }
+
+    on(type, filter, callback) {
+        this.handlers.push({ type, filter, callback });
+        return this;
+    }
+
+    subscribe(callback) {
+        this.backend.channels.add(this);
+        this.backend.joinChannel(this);
+        if (callback) setTimeout(() => callback('SUBSCRIBED'), 0);
+        return this;
+    }
+
+    async send({ event, payload }) {
+        await this.backend.publish({ type: 'broadcast', channel: this.name, event, payload });
+        return 'ok';
+    }
+
+    async track(payload) {
+        this.presence[this.presenceKey] = [payload];
+        this.emitPresenceSync();
+        await this.backend.publish({ type: 'presence', channel: this.name, key: this.presenceKey, payload });
+        return 'ok';
+    }
+
+    presenceState() {
+        return this.presence;
+    }
+
+    emitPresenceSync() {
+        this.handlers
+            .filter(h => h.type === 'presence' && h.filter.event === 'sync')
+            .forEach(h => h.callback());
+    }
+
+    // Messages from other clients
+    receive(message) {
+        if (message.type === 'postgres_changes') {
+            const change = message.change;
+            this.handlers
+                .filter(h => h.type === 'postgres_changes' &&
+                    (!h.filter.table || h.filter.table === change.table) &&
+                    matchesChangeFilter(h.filter.filter, change) &&
+                    (!h.filter.event || h.filter.event === '*' || h.filter.event === change.eventType))
+                .forEach(h => h.callback({ ...change, schema: 'public', commit_timestamp: new Date().toISOString() }));
+        } else if (message.channel !== this.name) {
+            return;
+        } else if (message.type === 'broadcast') {
+            this.handlers
+                .filter(h => h.type === 'broadcast' && h.filter.event === message.event)
+                .forEach(h => h.callback({ type: 'broadcast', event: message.event, payload: message.payload }));
+        } else if (message.type === 'presence') {
+            if (message.payload) {
+                this.presence[message.key] = [message.payload];
+            } else {
+                delete this.presence[message.key];
+            }
+            this.emitPresenceSync();
+        }
+    }
+}
+
+class TableBackend {
+    constructor(name) {
+        this.name = name;
+        this.channels = new Set();
+    }
+
+    from(table) {
+        return new TableQuery(this, table);
+    }
+
+    channel(name, options) {
+        return new StorageChannel(this, name, options);
+    }
+
+    removeChannel(channel) {
+        this.channels.delete(channel);
+    }
+
+    deliver(message) {
+        this.channels.forEach(channel => channel.receive(message));
+    }
+
+    joinChannel() {}
+}
+
+// Tables live in localStorage; other tabs of this browser hear about changes
+class LocalStorageBackend extends TableBackend {
+    constructor(storageKey = 'baseballDraftTrackerTables') {
+        super('local');
+        this.storageKey = storageKey;
+        this.feed = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${storageKey}Feed`) : null;
+        this.feed?.addEventListener('message', (e) => this.handleFeedMessage(e.data));
+        window.addEventListener('beforeunload', () => {
+            this.channels.forEach(channel => {
+                this.feed?.postMessage({ type: 'presence', channel: channel.name, key: channel.presenceKey, payload: null });
+            });
+        });
+    }
+
+    loadTables() {
+        try {
+            return { ...createEmptyTables(), ...JSON.parse(localStorage.getItem(this.storageKey) || '{}') };
+        } catch (e) {
+            console.error('Error loading local tables:', e);
+            return createEmptyTables();
+        }
+    }
+
+    async execute(request) {
+        const tables = this.loadTables();
+        const { data, error, changes = [] } = runTableQuery(tables, request);
+        if (error) return { data: null, error };
+
+        if (changes.length > 0) {
+            localStorage.setItem(this.storageKey, JSON.stringify(tables));
+            // Supabase echoes table changes to the writer too, so deliver locally as well as to other tabs
+            changes.forEach(change => {
+                this.feed?.postMessage({ type: 'postgres_changes', change });
+                this.deliver({ type: 'postgres_changes', change });
+            });
+        }
+        return { data, error: null };
+    }
+
+    async publish(message) {
+        this.feed?.postMessage(message);
+    }
+
+    // New tabs ask the others to re-announce their presence
+    joinChannel(channel) {
+        this.feed?.postMessage({ type: 'presence-hello', channel: channel.name });
+    }
+
+    handleFeedMessage(message) {
+        if (message.type === 'presence-hello') {
+            this.channels.forEach(channel => {
+                const own = channel.presence[channel.presenceKey];
+                if (channel.name === message.channel && own) {
+                    this.feed.postMessage({ type: 'presence', channel: channel.name, key: channel.presenceKey, payload: own[0] });
+                }
+            });
+            return;
+        }
+        this.deliver(message);
+    }
+}
+
+// Talks to mock-server.js: POST /query runs requests, GET /changes is the server-sent change feed
+class MockServerBackend extends TableBackend {
+    constructor(url) {
+        super('mock-server');
+        this.url = url.replace(/\/$/, '');
+        this.connectionId = null;
+        this.connected = new Promise(resolve => {
+            this.events = new EventSource(`${this.url}/changes`);
+            this.events.addEventListener('message', (e) => {
+                const message = JSON.parse(e.data);
+                if (message.type === 'hello') {
+                    this.connectionId = message.connectionId;
+                    resolve();
+                    return;
+                }
+                this.deliver(message);
+            });
+        });
+    }
+
+    async post(path, body) {
+        const response = await fetch(`${this.url}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, connectionId: this.connectionId })
+        });
+        if (!response.ok) {
+            throw new Error(`Mock server responded ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async execute(request) {
+        return this.post('/query', request);
+    }
+
+    async publish(message) {
+        await this.connected;
+        await this.post('/publish', message);
+    }
+
+    // Pick up presence from clients that joined before us
+    async joinChannel(channel) {
+        await this.connected;
+        const { presence } = await this.post('/join', { channel: channel.name });
+        presence.forEach(({ key, payload }) => channel.receive({ type: 'presence', channel: channel.name, key, payload }));
+    }
+}
+
+function createStorageBackend(storageConfig, supabaseConfig) {
+    const params = new URLSearchParams(window.location.search);
+    const backend = params.get('storage') || storageConfig?.backend ||
+        (supabaseConfig?.url && supabaseConfig?.anonKey ? 'supabase' : null);
+
+    if (backend === 'supabase') {
+        if (!supabaseConfig?.url || !supabaseConfig?.anonKey) {
+            throw new Error('Supabase backend selected but SUPABASE_CONFIG is missing');
+        }
+        return window.supabase.createClient(supabaseConfig.url, supabaseConfig.anonKey);
+    }
+    if (backend === 'local') {
+        return new LocalStorageBackend();
+    }
+    if (backend === 'mock-server') {
+        return new MockServerBackend(params.get('storageUrl') || storageConfig?.url || window.location.origin);
+    }
+    return null;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { STORAGE_TABLES, createEmptyTables, runTableQuery };
+}
@@ -0,0 +1,128 @@
+-- Sign-in, owners and row-level permissions for the draft tracker.
+-- Run once in the Supabase SQL editor, after leagues.sql, then link each account to its owner:
+--   update owners set user_id = '<auth user id>' where name = 'Mets' and league_id = '<league>';
+--   update owners set is_commissioner = true where name = '<commissioner team>' and league_id = '<league>';
+-- The app starts enforcing these rules as soon as any owner has a user_id. Until then the
+-- league is a board where nobody signs in, and the anon key may write to it.
+-- Every check is per league season: an account has one owner row in each season it plays in,
+-- and being commissioner of one league says nothing about any other.
+
+alter table owners add column if not exists user_id uuid references auth.users (id);
+alter table owners add column if not exists is_commissioner boolean not null default false;
+create unique index if not exists owners_league_user_idx on owners (league_id, user_id);
+
+-- A season nobody commissions yet (just created, or just rolled over) is run by whoever
+-- created it or commissioned the season it rolled over from, so they can set up its owners
+create or replace function is_commissioner(league text) returns boolean
+language sql stable security definer set search_path = public as $$
+    select exists (
+        select 1 from owners
+        where league_id = league and user_id = auth.uid() and is_commissioner
+    ) or (
+        not exists (select 1 from owners where league_id = league and is_commissioner)
+        and exists (
+            select 1 from leagues l
+            where l.id = league and (
+                l.created_by = auth.uid() or
+                exists (
+                    select 1 from owners o
+                    where o.league_id = l.parent_league_id and o.user_id = auth.uid() and o.is_commissioner
+                )
+            )
+        )
+    );
+$$;
+
+create or replace function my_owner_id(league text) returns uuid
+language sql stable security definer set search_path = public as $$
+    select id from owners where league_id = league and user_id = auth.uid();
+$$;
+
+-- Boards where nobody signs in write with the anon key. The anon role keeps writing to a league
+-- only while no owner in it is linked to an account, the same point the app starts enforcing
+-- permissions.
+create or replace function league_has_accounts(league text) returns boolean
+language sql stable security definer set search_path = public as $$
+    select exists (select 1 from owners where league_id = league and user_id is not null);
+$$;
+
+-- Leagues: everyone reads, anyone signed in starts one, its commissioner archives it
+alter table leagues enable row level security;
+create policy "leagues are readable" on leagues for select using (true);
+create policy "signed-in users add leagues" on leagues for insert to authenticated
+    with check (created_by = auth.uid());
+create policy "commissioner archives leagues" on leagues for update to authenticated
+    using (is_commissioner(id)) with check (is_commissioner(id));
+create policy "boards without accounts manage leagues" on leagues for all to anon
+    using (not league_has_accounts(id)) with check (not league_has_accounts(id));
+
+-- Owners: everyone reads, only the league's commissioner manages its owners
+alter table owners enable row level security;
+create policy "owners are readable" on owners for select using (true);
+create policy "commissioner manages owners" on owners for all to authenticated
+    using (is_commissioner(league_id)) with check (is_commissioner(league_id));
+-- Linking an owner to an account stays an SQL editor job
+create policy "boards without accounts manage owners" on owners for all to anon
+    using (not league_has_accounts(league_id))
+    with check (not league_has_accounts(league_id) and user_id is null and not is_commissioner);
+
+-- Players: signed-in users edit any player's details; only the commissioner deletes
+alter table players enable row level security;
+create policy "players are readable" on players for select using (true);
+create policy "signed-in users add players" on players for insert to authenticated with check (true);
+drop policy if exists "owners draft for themselves" on players;
+create policy "signed-in users edit players" on players for update to authenticated
+    using (true) with check (true);
+create policy "commissioner deletes players" on players for delete to authenticated
+    using (is_commissioner(league_id));
+create policy "boards without accounts manage players" on players for all to anon
+    using (not league_has_accounts(league_id)) with check (not league_has_accounts(league_id));
+
+-- Who owns a player is guarded by a trigger rather than the update policy, since a policy only
+-- sees the new row: an owner may draft an undrafted player to their own team and release their
+-- own players, and nothing else. Whose turn it is stays a client-side check. The commissioner,
+-- and the SQL editor (no auth.uid()), can change anything.
+create or replace function check_player_owner_change() returns trigger
+language plpgsql as $$
+declare
+    old_owner uuid;
+begin
+    if tg_op = 'UPDATE' then
+        old_owner := old.owner_id;
+    end if;
+    -- An upsert of an existing row fires this for the insert first; the update check covers it
+    if tg_op = 'INSERT' and exists (select 1 from players where id = new.id) then
+        return new;
+    end if;
+    if new.owner_id is not distinct from old_owner or auth.uid() is null or is_commissioner(new.league_id) then
+        return new;
+    end if;
+    if old_owner is null and new.owner_id = my_owner_id(new.league_id) then
+        return new;
+    end if;
+    if new.owner_id is null and old_owner = my_owner_id(new.league_id) then
+        return new;
+    end if;
+    raise exception 'Only the commissioner can change another owner''s players'
+        using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists players_check_owner_change on players;
+create trigger players_check_owner_change before insert or update of owner_id on players
+    for each row execute function check_player_owner_change();
+
+-- Rankings: signed-in users rank. rankings-reorder.sql narrows delete to the commissioner.
+alter table player_rankings enable row level security;
+create policy "rankings are readable" on player_rankings for select using (true);
+create policy "signed-in users rank" on player_rankings for all to authenticated
+    using (true) with check (true);
+create policy "boards without accounts rank" on player_rankings for all to anon
+    using (not league_has_accounts(league_id)) with check (not league_has_accounts(league_id));
+
+-- Draft history: append-only
+alter table draft_events enable row level security;
+create policy "history is readable" on draft_events for select using (true);
+create policy "signed-in users log events" on draft_events for insert to authenticated with check (true);
+create policy "boards without accounts log events" on draft_events for insert to anon
+    with check (not league_has_accounts(league_id));
@@ -0,0 +1,13 @@
+-- Draft history: one row per recorded action (draft, undraft, edit, rank move, undo, redo...).
+-- payload holds the before/after snapshots and who did it, as in the app's local history log.
+-- Run once in the Supabase SQL editor, after draft-order.sql and before auth-policies.sql.
+
+create table if not exists draft_events (
+    id uuid primary key,
+    event_type text not null,
+    player_id uuid, -- null for rank moves; no foreign key so history outlives purged players
+    payload jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists draft_events_created_idx on draft_events (created_at);
@@ -0,0 +1,7 @@
+-- Pick metadata on drafted players: which round and overall pick they went at, and which
+-- owner was on the clock (differs from owner_id when a pick was made on someone's behalf).
+-- Run once in the Supabase SQL editor, before the other scripts in this folder.
+
+alter table players add column if not exists draft_round integer;
+alter table players add column if not exists draft_pick integer;
+alter table players add column if not exists on_clock_owner_id uuid;
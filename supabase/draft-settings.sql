@@ -0,0 +1,150 @@
+-- The draft order, shared by everyone in a league, and the turn checked against it.
+-- Until now each browser kept its own order, so an owner could edit theirs to get past the
+-- turn check and co-owners could disagree about who was on the clock. The order, rounds, pick
+-- times and skipped picks now live here; each browser's own team and queue stay local.
+-- Run once in the Supabase SQL editor, after trash.sql.
+
+create table if not exists draft_settings (
+    league_id text primary key,
+    order_type text not null default 'snake', -- 'snake' | 'linear' | 'custom'
+    rounds integer not null default 25,
+    owner_order jsonb not null default '[]', -- owner ids in first-round order
+    custom_order jsonb not null default '[]', -- one array of owner ids per round (custom only)
+    pick_time_limit integer not null default 120, -- seconds per pick
+    round_time_limits jsonb not null default '{}', -- per-round overrides, e.g. {"1": 180}
+    timeout_action text not null default 'auto-pick', -- 'auto-pick' | 'skip'
+    skipped_picks jsonb not null default '[]', -- overall pick numbers skipped when the clock ran out
+    updated_at timestamptz not null default now()
+);
+
+alter publication supabase_realtime add table draft_settings;
+
+-- The first pick nobody has used, worked out the way the app's getCurrentPick does.
+-- Both are null when there is no order yet or the draft is complete.
+create or replace function pick_on_the_clock(league text, out overall integer, out owner_id text)
+language plpgsql stable security definer set search_path = public as $$
+declare
+    settings draft_settings;
+    round_order jsonb;
+    taken integer[];
+begin
+    select * into settings from draft_settings where league_id = league;
+    if not found or jsonb_array_length(settings.owner_order) = 0 then
+        return;
+    end if;
+
+    select coalesce(array_agg(draft_pick), '{}') into taken from players
+    where league_id = league and drafted and draft_pick is not null and deleted_at is null;
+    taken := taken || array(select jsonb_array_elements_text(settings.skipped_picks)::integer);
+
+    overall := 0;
+    for draft_round in 1..settings.rounds loop
+        round_order := settings.owner_order;
+        if settings.order_type = 'snake' and draft_round % 2 = 0 then
+            select jsonb_agg(value order by ordinality desc) into round_order
+            from jsonb_array_elements(settings.owner_order) with ordinality;
+        elsif settings.order_type = 'custom' and
+            jsonb_array_length(coalesce(settings.custom_order -> (draft_round - 1), '[]')) > 0 then
+            round_order := settings.custom_order -> (draft_round - 1);
+        end if;
+
+        for owner_id in
+            select value from jsonb_array_elements_text(round_order) with ordinality order by ordinality
+        loop
+            overall := overall + 1;
+            if not overall = any(taken) then
+                return;
+            end if;
+        end loop;
+    end loop;
+
+    overall := null;
+    owner_id := null;
+end;
+$$;
+
+-- An owner drafting to their own team has to be on the clock. Releasing a player needs no turn;
+-- the commissioner, and the SQL editor (no auth.uid()), draft for anyone at any time.
+create or replace function check_draft_turn() returns trigger
+language plpgsql as $$
+declare
+    on_clock record;
+begin
+    if new.owner_id is null or auth.uid() is null or is_commissioner(new.league_id) then
+        return new;
+    end if;
+    if tg_op = 'UPDATE' and new.owner_id is not distinct from old.owner_id then
+        return new;
+    end if;
+    -- An upsert of an existing row fires this for the insert first; the update check covers it
+    if tg_op = 'INSERT' and exists (select 1 from players where id = new.id) then
+        return new;
+    end if;
+
+    select * into on_clock from pick_on_the_clock(new.league_id);
+    if on_clock.owner_id is null or on_clock.owner_id = new.owner_id::text then
+        return new;
+    end if;
+    raise exception 'It''s not your turn to draft'
+        using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists players_check_draft_turn on players;
+create trigger players_check_draft_turn before insert or update of owner_id on players
+    for each row execute function check_draft_turn();
+
+-- Only the commissioner sets the draft up. An owner's browser that runs the clock may still skip
+-- the pick on the clock when it runs out, and nothing else.
+create or replace function check_draft_settings_change() returns trigger
+language plpgsql as $$
+declare
+    on_clock record;
+    added jsonb[];
+    removed jsonb[];
+begin
+    if auth.uid() is null or is_commissioner(new.league_id) then
+        return new;
+    end if;
+    if (new.order_type, new.rounds, new.owner_order, new.custom_order, new.pick_time_limit,
+        new.round_time_limits, new.timeout_action)
+        is distinct from
+        (old.order_type, old.rounds, old.owner_order, old.custom_order, old.pick_time_limit,
+        old.round_time_limits, old.timeout_action) then
+        raise exception 'Only the commissioner can change the draft order'
+            using errcode = '42501';
+    end if;
+
+    added := array(select jsonb_array_elements(new.skipped_picks)
+        except select jsonb_array_elements(old.skipped_picks));
+    removed := array(select jsonb_array_elements(old.skipped_picks)
+        except select jsonb_array_elements(new.skipped_picks));
+    select * into on_clock from pick_on_the_clock(new.league_id);
+    if cardinality(removed) = 0 and (cardinality(added) = 0 or added = array[to_jsonb(on_clock.overall)]) then
+        return new;
+    end if;
+    raise exception 'Only the pick on the clock can be skipped'
+        using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists draft_settings_check_change on draft_settings;
+create trigger draft_settings_check_change before update on draft_settings
+    for each row execute function check_draft_settings_change();
+
+alter table draft_settings enable row level security;
+create policy "draft settings are readable" on draft_settings for select using (true);
+create policy "commissioner sets up the draft" on draft_settings for all to authenticated
+    using (is_commissioner(league_id)) with check (is_commissioner(league_id));
+create policy "owners skip picks on the clock" on draft_settings for update to authenticated
+    using (my_owner_id(league_id) is not null) with check (my_owner_id(league_id) is not null);
+create policy "boards without accounts set up the draft" on draft_settings for all to anon
+    using (not league_has_accounts(league_id)) with check (not league_has_accounts(league_id));
+
+-- Archived seasons keep their draft order as it was (see leagues.sql)
+create policy "archived seasons take no new draft settings" on draft_settings as restrictive for insert
+    with check (not league_is_archived(league_id));
+create policy "archived seasons keep their draft settings" on draft_settings as restrictive for update
+    using (not league_is_archived(league_id)) with check (not league_is_archived(league_id));
+create policy "archived seasons keep their draft order" on draft_settings as restrictive for delete
+    using (not league_is_archived(league_id));
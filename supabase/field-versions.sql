@@ -0,0 +1,7 @@
+-- Per-field-group edit stamps on players ({"notes": "<timestamp>", "draft": "<timestamp>", ...}),
+-- used to merge a co-owner's changes group by group instead of letting the last save win the row.
+-- Run once in the Supabase SQL editor, after positions.sql.
+
+-- No default: the app dates rows with a null field_versions by their updated_at, which is the
+-- best guess for rows saved before this column existed. Every save from the app fills it in.
+alter table players add column if not exists field_versions jsonb;
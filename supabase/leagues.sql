@@ -0,0 +1,57 @@
+-- Leagues and seasons for the draft tracker.
+-- Run once in the Supabase SQL editor, after updated-at.sql and before auth-policies.sql, which
+-- scopes every permission to these leagues. Existing rows land in the 'default' league, which is
+-- the league every browser starts in.
+
+create table if not exists leagues (
+    id text primary key,
+    name text not null,
+    season integer not null,
+    archived boolean not null default false,
+    parent_league_id text references leagues (id), -- the season this one rolled over from
+    created_by uuid default auth.uid(), -- runs the league until it has a commissioner
+    created_at timestamptz not null default now()
+);
+
+alter table players add column if not exists league_id text not null default 'default';
+alter table owners add column if not exists league_id text not null default 'default';
+alter table player_rankings add column if not exists league_id text not null default 'default';
+alter table draft_events add column if not exists league_id text not null default 'default';
+
+create index if not exists players_league_updated_idx on players (league_id, updated_at);
+create index if not exists owners_league_idx on owners (league_id);
+create index if not exists player_rankings_league_list_idx on player_rankings (league_id, list_type, rank_index);
+create index if not exists draft_events_league_idx on draft_events (league_id);
+
+create or replace function league_is_archived(target text) returns boolean
+language sql stable security definer set search_path = public as $$
+    select coalesce((select archived from leagues where id = target), false);
+$$;
+
+-- Archived seasons keep their draft results read-only: no row in one is added, changed or
+-- removed, and no row is moved into one. Restrictive policies only ever narrow writes; reads
+-- stay open. They take effect once auth-policies.sql enables row-level security.
+create policy "archived seasons take no new players" on players as restrictive for insert to authenticated
+    with check (not league_is_archived(league_id));
+create policy "archived seasons are read-only" on players as restrictive for update to authenticated
+    using (not league_is_archived(league_id)) with check (not league_is_archived(league_id));
+create policy "archived seasons keep their players" on players as restrictive for delete to authenticated
+    using (not league_is_archived(league_id));
+
+create policy "archived seasons take no new owners" on owners as restrictive for insert to authenticated
+    with check (not league_is_archived(league_id));
+create policy "archived seasons keep their owners as they were" on owners as restrictive for update to authenticated
+    using (not league_is_archived(league_id)) with check (not league_is_archived(league_id));
+create policy "archived seasons keep their owners" on owners as restrictive for delete to authenticated
+    using (not league_is_archived(league_id));
+
+create policy "archived seasons take no new rankings" on player_rankings as restrictive for insert to authenticated
+    with check (not league_is_archived(league_id));
+create policy "archived seasons keep their ranking order" on player_rankings as restrictive for update to authenticated
+    using (not league_is_archived(league_id)) with check (not league_is_archived(league_id));
+create policy "archived seasons keep their rankings" on player_rankings as restrictive for delete to authenticated
+    using (not league_is_archived(league_id));
+
+-- draft_events is append-only already, so only new events need stopping
+create policy "archived seasons take no new events" on draft_events as restrictive for insert to authenticated
+    with check (not league_is_archived(league_id));
@@ -0,0 +1,33 @@
+-- Structured positions on players: every eligible position plus the primary one. The old
+-- free-text position column stays; text the app can't parse ("IF", "TWP"...) is left as typed.
+-- Run once in the Supabase SQL editor, after draft-events.sql.
+
+alter table players add column if not exists positions text[] not null default '{}';
+alter table players add column if not exists primary_position text;
+
+-- Backfill rows saved before the position picker, using the app's aliases (LF/CF/RF -> OF,
+-- RHP/LHP -> SP, CP -> CL). Unknown tokens are dropped from positions, never from position.
+update players p
+set positions = parsed.positions,
+    primary_position = parsed.positions[1]
+from (
+    select id, array_agg(pos order by first_seen) as positions
+    from (
+        select pl.id, t.pos, min(t.ord) as first_seen
+        from players pl,
+            lateral (
+                select case upper(token)
+                           when 'LF' then 'OF' when 'CF' then 'OF' when 'RF' then 'OF'
+                           when 'RHP' then 'SP' when 'LHP' then 'SP' when 'CP' then 'CL'
+                           else upper(token)
+                       end as pos,
+                       ord
+                from regexp_split_to_table(trim(pl.position), '[/,\s-]+') with ordinality as s(token, ord)
+            ) t
+        where cardinality(pl.positions) = 0
+          and t.pos in ('C', '1B', '2B', '3B', 'SS', 'OF', 'DH', 'UTIL', 'SP', 'RP', 'CL', 'P')
+        group by pl.id, t.pos
+    ) tokens
+    group by id
+) parsed
+where p.id = parsed.id;
@@ -0,0 +1,65 @@
+-- Named ranking lists, personal or shared with the league.
+-- A list's id is the list_type its player_rankings rows carry; the built-in
+-- overall / hitter / pitcher lists have no row here.
+-- Run once in the Supabase SQL editor, after auth-policies.sql and rankings-reorder.sql.
+
+create table if not exists ranking_lists (
+    id text primary key,
+    name text not null,
+    pool text not null default 'overall', -- which players Initialize Rankings adds
+    shared boolean not null default false,
+    created_by text not null, -- auth user id, or the browser's id when nobody signs in
+    created_by_name text,
+    league_id text not null default 'default',
+    created_at timestamptz not null default now()
+);
+
+create index if not exists ranking_lists_league_idx on ranking_lists (league_id);
+
+-- Co-owners see new shared lists as they're created
+alter publication supabase_realtime add table ranking_lists;
+
+alter table ranking_lists enable row level security;
+create policy "ranking lists are readable" on ranking_lists for select using (true);
+create policy "signed-in users create lists" on ranking_lists for insert to authenticated
+    with check (created_by = auth.uid()::text);
+create policy "list owners manage their lists" on ranking_lists for update to authenticated
+    using (created_by = auth.uid()::text or is_commissioner(league_id));
+create policy "list owners delete their lists" on ranking_lists for delete to authenticated
+    using (created_by = auth.uid()::text or is_commissioner(league_id));
+
+-- Boards where nobody signs in write with the anon key, and created_by is the browser's id
+-- (league_has_accounts is in auth-policies.sql). On those boards a personal list is kept out
+-- of other people's menus, not locked.
+create policy "boards without accounts manage lists" on ranking_lists for all to anon
+    using (not league_has_accounts(league_id)) with check (not league_has_accounts(league_id));
+
+-- A personal list's rankings and tiers are changed by its creator or the commissioner only.
+-- Shared lists, and the built-in lists that have no row here, stay open to everyone.
+create or replace function can_edit_ranking_list(list text) returns boolean
+language sql stable security definer set search_path = public as $$
+    select coalesce((
+        select shared or created_by = auth.uid()::text or is_commissioner(league_id) or not league_has_accounts(league_id)
+        from ranking_lists where id = list
+    ), true);
+$$;
+
+create policy "personal lists take rankings from their creator" on player_rankings as restrictive for insert
+    with check (can_edit_ranking_list(list_type));
+create policy "personal lists are reordered by their creator" on player_rankings as restrictive for update
+    using (can_edit_ranking_list(list_type)) with check (can_edit_ranking_list(list_type));
+create policy "personal lists are cleared by their creator" on player_rankings as restrictive for delete
+    using (can_edit_ranking_list(list_type));
+
+-- Owners can clear their own lists; everything else is still the commissioner's call
+drop policy if exists "commissioner clears rankings" on player_rankings;
+create policy "owners and commissioner clear rankings" on player_rankings for delete to authenticated
+    using (is_commissioner(league_id) or list_type in (select id from ranking_lists where created_by = auth.uid()::text));
+
+-- Archived seasons keep their lists as they were (see leagues.sql), whoever is writing
+create policy "archived seasons take no new lists" on ranking_lists as restrictive for insert
+    with check (not league_is_archived(league_id));
+create policy "archived seasons keep their lists as they were" on ranking_lists as restrictive for update
+    using (not league_is_archived(league_id)) with check (not league_is_archived(league_id));
+create policy "archived seasons keep their lists" on ranking_lists as restrictive for delete
+    using (not league_is_archived(league_id));
@@ -0,0 +1,40 @@
+-- Ranking history: a list's player order after each save, with who saved it.
+-- Quick successive saves by the same person update their latest snapshot instead of adding rows.
+-- Run once in the Supabase SQL editor, after ranking-lists.sql.
+
+create table if not exists ranking_snapshots (
+    id text primary key,
+    list_type text not null, -- the list's id, as on player_rankings
+    player_ids jsonb not null, -- player IDs, best first
+    reason text not null default 'save', -- 'save' | 'restore'
+    created_by text not null, -- auth user id, or the browser's id when nobody signs in
+    created_by_name text,
+    league_id text not null default 'default',
+    created_at timestamptz not null default now()
+);
+
+create index if not exists ranking_snapshots_list_idx on ranking_snapshots (league_id, list_type, created_at desc);
+
+alter publication supabase_realtime add table ranking_snapshots;
+
+-- Everyone sees the history; people only rewrite their own snapshots, and deleting a
+-- list's history goes with deleting the list. Boards without accounts keep history under the
+-- browser's id, so there anyone may (see ranking-lists.sql).
+alter table ranking_snapshots enable row level security;
+create policy "snapshots are readable" on ranking_snapshots for select using (true);
+create policy "signed-in users snapshot lists" on ranking_snapshots for insert to authenticated
+    with check (created_by = auth.uid()::text);
+create policy "authors update their snapshots" on ranking_snapshots for update to authenticated
+    using (created_by = auth.uid()::text);
+create policy "list owners delete history" on ranking_snapshots for delete to authenticated
+    using (is_commissioner(league_id) or list_type in (select id from ranking_lists where created_by = auth.uid()::text));
+create policy "boards without accounts snapshot lists" on ranking_snapshots for all to anon
+    using (not league_has_accounts(league_id)) with check (not league_has_accounts(league_id));
+
+-- Archived seasons keep their snapshots as they were (see leagues.sql)
+create policy "archived seasons take no new snapshots" on ranking_snapshots as restrictive for insert
+    with check (not league_is_archived(league_id));
+create policy "archived seasons keep their snapshots as they were" on ranking_snapshots as restrictive for update
+    using (not league_is_archived(league_id)) with check (not league_is_archived(league_id));
+create policy "archived seasons keep their snapshots" on ranking_snapshots as restrictive for delete
+    using (not league_is_archived(league_id));
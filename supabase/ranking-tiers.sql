@@ -0,0 +1,42 @@
+-- Tier breaks within ranking lists.
+-- A break has a rank_index in the same space as its list's player_rankings rows, so it
+-- sits between two players and is dragged like one. Each break starts a tier.
+-- Run once in the Supabase SQL editor, after ranking-lists.sql.
+
+create table if not exists ranking_tiers (
+    id text primary key,
+    list_type text not null, -- the list's id, as on player_rankings
+    rank_index double precision not null,
+    label text not null default '', -- blank shows as "Tier N"
+    league_id text not null default 'default',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists ranking_tiers_list_idx on ranking_tiers (league_id, list_type);
+
+alter publication supabase_realtime add table ranking_tiers;
+
+-- Anyone who can reorder a list can tier it (see ranking-lists.sql for personal lists and
+-- boards without accounts)
+alter table ranking_tiers enable row level security;
+create policy "tiers are readable" on ranking_tiers for select using (true);
+create policy "signed-in users tier lists" on ranking_tiers for all to authenticated
+    using (true) with check (true);
+create policy "boards without accounts tier lists" on ranking_tiers for all to anon
+    using (not league_has_accounts(league_id)) with check (not league_has_accounts(league_id));
+
+create policy "personal lists take tiers from their creator" on ranking_tiers as restrictive for insert
+    with check (can_edit_ranking_list(list_type));
+create policy "personal lists are tiered by their creator" on ranking_tiers as restrictive for update
+    using (can_edit_ranking_list(list_type)) with check (can_edit_ranking_list(list_type));
+create policy "personal lists lose tiers by their creator" on ranking_tiers as restrictive for delete
+    using (can_edit_ranking_list(list_type));
+
+-- Archived seasons keep their tiers as they were (see leagues.sql), whoever is writing
+create policy "archived seasons take no new tiers" on ranking_tiers as restrictive for insert
+    with check (not league_is_archived(league_id));
+create policy "archived seasons keep their tiers as they were" on ranking_tiers as restrictive for update
+    using (not league_is_archived(league_id)) with check (not league_is_archived(league_id));
+create policy "archived seasons keep their tiers" on ranking_tiers as restrictive for delete
+    using (not league_is_archived(league_id));
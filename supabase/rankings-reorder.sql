@@ -0,0 +1,15 @@
+-- Fractional ranking order for player_rankings.
+-- A drag writes one rank_index halfway between its neighbours instead of deleting and
+-- re-inserting the whole list, so the column has to hold fractions.
+-- Run once in the Supabase SQL editor, after auth-policies.sql.
+
+alter table player_rankings alter column rank_index type double precision;
+
+-- Reordering only updates rows now, so clearing a list is the one delete left: commissioner only
+drop policy if exists "signed-in users rank" on player_rankings;
+create policy "signed-in users add rankings" on player_rankings for insert to authenticated
+    with check (true);
+create policy "signed-in users reorder rankings" on player_rankings for update to authenticated
+    using (true) with check (true);
+create policy "commissioner clears rankings" on player_rankings for delete to authenticated
+    using (is_commissioner(league_id));
@@ -0,0 +1,27 @@
+-- Soft delete for players: deleted players keep their row with deleted_at set and show up
+-- in the app's trash until they're restored or purged.
+-- Run once in the Supabase SQL editor, after auth-policies.sql.
+
+alter table players add column if not exists deleted_at timestamptz;
+
+-- Moving a player to the trash is a delete as far as permissions go; anyone signed in can restore.
+-- A trigger rather than a policy, since a policy only sees the new row: other edits to a player
+-- already in the trash still go through. The commissioner, and the SQL editor and boards without
+-- accounts (no auth.uid()), can trash anything.
+drop policy if exists "commissioner trashes players" on players;
+
+create or replace function check_player_trash() returns trigger
+language plpgsql as $$
+begin
+    if new.deleted_at is null or new.deleted_at is not distinct from old.deleted_at or
+        auth.uid() is null or is_commissioner(new.league_id) then
+        return new;
+    end if;
+    raise exception 'Only the commissioner can delete players'
+        using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists players_check_trash on players;
+create trigger players_check_trash before update of deleted_at on players
+    for each row execute function check_player_trash();
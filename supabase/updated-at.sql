@@ -0,0 +1,23 @@
+-- Server-side players.updated_at. Incremental loads ask for rows updated since the newest
+-- updated_at they've seen, so the column has to come from the database clock rather than from
+-- whichever browser saved the row. Rows written in one request share one now().
+-- Run once in the Supabase SQL editor, after field-versions.sql and before leagues.sql.
+
+update players set updated_at = now() where updated_at is null;
+alter table players alter column updated_at set default now();
+alter table players alter column updated_at set not null;
+
+create or replace function set_updated_at() returns trigger
+language plpgsql as $$
+begin
+    new.updated_at := now();
+    return new;
+end;
+$$;
+
+drop trigger if exists players_set_updated_at on players;
+create trigger players_set_updated_at before insert or update on players
+    for each row execute function set_updated_at();
+
+-- Loads page through players by (updated_at, id)
+create index if not exists players_updated_at_id_idx on players (updated_at, id);
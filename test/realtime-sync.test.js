@@ -0,0 +1,160 @@
+// Realtime sync against a recorded Supabase payload: rows survive rowToPlayer -> playerToRow
+// unchanged, and INSERT / UPDATE / DELETE events land on the board the way they should.
+// Run with `node --test` from the repo root.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { createEmptyTables, runTableQuery } = require('../storage-adapters.js');
+const payloads = require('./fixtures/realtime-players.json');
+
+// script.js is a browser script; give it just enough of a browser to construct the tracker
+function loadDraftTracker() {
+    const storage = {};
+    const context = {
+        console: { log() {}, warn() {}, error() {} },
+        localStorage: {
+            getItem: key => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); },
+            removeItem: key => { delete storage[key]; }
+        },
+        document: {
+            addEventListener() {},
+            getElementById() { return null; },
+            querySelector() { return null; },
+            querySelectorAll() { return []; }
+        },
+        navigator: { onLine: true },
+        crypto: require('crypto').webcrypto,
+        module: { exports: {} },
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval
+    };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8'), context);
+    return context.module.exports.DraftTracker;
+}
+
+const DraftTracker = loadDraftTracker();
+
+// No Supabase, no DOM: the tracker keeps its state in memory and records conflicts
+class TestTracker extends DraftTracker {
+    init() {
+        this.conflicts = [];
+    }
+
+    render() {}
+
+    showConflictModal(conflicts) {
+        this.conflicts.push(...conflicts);
+    }
+}
+
+// Values from the vm context have their own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Columns the app writes back; updated_at is stamped by the server on every write
+const SYNCED_COLUMNS = [
+    'id', 'name', 'position', 'positions', 'primary_position', 'team', 'notes', 'owner_id', 'drafted',
+    'draft_notes', 'draft_round', 'draft_pick', 'on_clock_owner_id', 'deleted_at', 'field_versions', 'league_id'
+];
+
+function pickColumns(row) {
+    return Object.fromEntries(SYNCED_COLUMNS.map(column => [column, row[column]]));
+}
+
+test('rowToPlayer -> playerToRow round-trips the recorded rows', () => {
+    const tracker = new TestTracker();
+
+    [payloads.insert.new, payloads.update.new].forEach(row => {
+        tracker.leagueId = row.league_id;
+        const roundTripped = tracker.playerToRow(tracker.rowToPlayer(row));
+        assert.deepStrictEqual(plain(pickColumns(roundTripped)), pickColumns(row));
+    });
+});
+
+test('INSERT adds the player as already synced', () => {
+    const tracker = new TestTracker();
+    tracker.handleRealtimeChange(payloads.insert);
+
+    assert.strictEqual(tracker.players.length, 1);
+    const player = tracker.players[0];
+    assert.strictEqual(player.name, 'Francisco Alvarez');
+    assert.deepStrictEqual(plain(player.positions), ['C', 'DH']);
+    assert.deepStrictEqual(plain(player.syncedVersions), payloads.insert.new.field_versions);
+    assert.strictEqual(tracker.isPlayerDirty(player), false);
+});
+
+test('UPDATE with newer field_versions takes the remote groups', () => {
+    const tracker = new TestTracker();
+    tracker.handleRealtimeChange(payloads.insert);
+    tracker.handleRealtimeChange(payloads.update);
+
+    const player = tracker.players[0];
+    assert.strictEqual(player.notes, payloads.update.new.notes);
+    assert.strictEqual(player.drafted, true);
+    assert.strictEqual(player.fantasyOwner, payloads.update.new.owner_id);
+    assert.strictEqual(player.draftRound, 2);
+    assert.strictEqual(player.draftPick, 19);
+    assert.deepStrictEqual(plain(player.fieldVersions), payloads.update.new.field_versions);
+    assert.deepStrictEqual(tracker.conflicts, []);
+});
+
+test('UPDATE replayed after a newer one changes nothing', () => {
+    const tracker = new TestTracker();
+    tracker.handleRealtimeChange(payloads.insert);
+    tracker.handleRealtimeChange(payloads.update);
+    tracker.handleRealtimeChange({ ...payloads.insert, eventType: 'UPDATE' });
+
+    assert.strictEqual(tracker.players[0].notes, payloads.update.new.notes);
+    assert.strictEqual(tracker.players[0].drafted, true);
+});
+
+test('UPDATE to notes edited locally since the last sync is a conflict, not an overwrite', () => {
+    const tracker = new TestTracker();
+    tracker.handleRealtimeChange(payloads.insert);
+    const player = tracker.players[0];
+    player.notes = 'Local scouting note';
+    player.fieldVersions = { ...player.fieldVersions, notes: '2026-03-02T19:15:00.000Z' };
+
+    tracker.handleRealtimeChange(payloads.update);
+
+    assert.strictEqual(tracker.players[0].notes, 'Local scouting note');
+    assert.deepStrictEqual(tracker.conflicts.map(c => c.group), ['notes']);
+    // The groups only the remote touched still come through
+    assert.strictEqual(tracker.players[0].drafted, true);
+});
+
+test('DELETE removes the player using only the id Supabase sends', () => {
+    const tracker = new TestTracker();
+    tracker.handleRealtimeChange(payloads.insert);
+    tracker.handleRealtimeChange(payloads.delete);
+
+    assert.strictEqual(tracker.players.length, 0);
+    assert.strictEqual(tracker.trash.length, 0);
+});
+
+test('changes published by the local backends replay onto another board', () => {
+    const tables = createEmptyTables();
+    const writer = new TestTracker();
+    const reader = new TestTracker();
+    const publish = request => runTableQuery(tables, request).changes
+        .forEach(change => reader.handleRealtimeChange(plain(change)));
+
+    const player = writer.rowToPlayer(payloads.insert.new);
+    publish({ table: 'players', action: 'upsert', values: [writer.playerToRow(player)], onConflict: 'id' });
+    assert.strictEqual(reader.players[0].notes, payloads.insert.new.notes);
+
+    const update = writer.rowToPlayer(payloads.update.new);
+    publish({ table: 'players', action: 'upsert', values: [writer.playerToRow(update)], onConflict: 'id' });
+    assert.strictEqual(reader.players[0].draftPick, 19);
+
+    publish({ table: 'players', action: 'delete', filters: [{ op: 'eq', column: 'id', value: player.id }] });
+    assert.strictEqual(reader.players.length, 0);
+});